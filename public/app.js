@@ -22,9 +22,30 @@ const clarificationQuestions = document.getElementById('clarification-list');
 const parsedSection = document.getElementById('parsed-section');
 const parsedContent = document.getElementById('parsed-content');
 const exampleBtns = document.querySelectorAll('.example-btn');
+const confirmationSection = document.getElementById('confirmation-section');
+const confirmationExplanation = document.getElementById('confirmation-explanation');
+const confirmationDetails = document.getElementById('confirmation-details');
+const confirmationScreenshot = document.getElementById('confirmation-screenshot');
+const confirmApproveBtn = document.getElementById('confirm-approve-btn');
+const confirmDenyBtn = document.getElementById('confirm-deny-btn');
+const replayToggleBtn = document.getElementById('replay-toggle-btn');
+const replayRunBtn = document.getElementById('replay-run-btn');
+const replaySection = document.getElementById('replay-section');
+const replayRunSelect = document.getElementById('replay-run-select');
+const replayEmpty = document.getElementById('replay-empty');
+const replayViewer = document.getElementById('replay-viewer');
+const replayScreenshot = document.getElementById('replay-screenshot');
+const replayMarker = document.getElementById('replay-marker');
+const replayPrevBtn = document.getElementById('replay-prev-btn');
+const replayNextBtn = document.getElementById('replay-next-btn');
+const replayPosition = document.getElementById('replay-position');
+const replayDetails = document.getElementById('replay-details');
 
 // State
 let isProcessing = false;
+let pendingConfirmationId = null;
+let replayTrajectory = null;
+let replayStepIndex = 0;
 
 /**
  * Initialize the application
@@ -47,6 +68,21 @@ async function init() {
         queryInput.focus();
     });
 
+    confirmApproveBtn.addEventListener('click', () => answerConfirmation(true));
+    confirmDenyBtn.addEventListener('click', () => answerConfirmation(false));
+
+    replayToggleBtn.addEventListener('click', () => {
+        if (replaySection.classList.contains('hidden')) {
+            openReplay();
+        } else {
+            replaySection.classList.add('hidden');
+        }
+    });
+    replayRunBtn.addEventListener('click', () => openReplay(replayRunBtn.dataset.taskId));
+    replayRunSelect.addEventListener('change', () => loadReplay(replayRunSelect.value));
+    replayPrevBtn.addEventListener('click', () => showReplayStep(replayStepIndex - 1));
+    replayNextBtn.addEventListener('click', () => showReplayStep(replayStepIndex + 1));
+
     exampleBtns.forEach(btn => {
         btn.addEventListener('click', () => {
             queryInput.value = btn.dataset.query;
@@ -91,46 +127,33 @@ async function handleSubmit() {
     hideAllSections();
     showStatus('Processing your request...', 'Analyzing natural language input');
 
-    // Timeout configuration for Computer Use agent
-    // Calculation: 
-    // - Intent parsing: ~4s (99th percentile)
-    // - Browser init: ~5s
-    // - 20 turns max × 13s per turn (API + action + page load) = 260s
-    // - Safety margin: +30s
-    // Total: 300 seconds (5 minutes) for 99% confidence
-    const REQUEST_TIMEOUT_MS = 300000; // 5 minutes
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-
     try {
-        // Simulate progress stages
-        await updateProgress(20, 'Parsing intent...', 'Understanding product and constraints');
-
         const response = await fetch('/api/monitor', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ query }),
-            signal: controller.signal,
         });
 
-        clearTimeout(timeoutId);
+        const data = await response.json();
 
-        await updateProgress(60, 'Processing...', 'Checking prices');
+        if (response.status !== 202) {
+            showError('Invalid Request', data.details?.join('\n') || data.message || 'Could not start the search.');
+            return;
+        }
 
-        const data = await response.json();
+        const result = await followTaskEvents(data.events_url);
 
         await updateProgress(100, 'Complete!', 'Results ready');
         await sleep(500);
 
-        handleResponse(data);
+        handleResponse(result);
 
     } catch (error) {
-        clearTimeout(timeoutId);
         console.error('Request failed:', error);
 
-        if (error.name === 'AbortError') {
+        if (error.name === 'TimeoutError') {
             showError('Request Timeout',
-                `The search took longer than expected (>${REQUEST_TIMEOUT_MS / 1000}s). ` +
+                `The search took longer than expected (>${TASK_TIMEOUT_MS / 1000}s). ` +
                 'The Computer Use agent may still be working. Check the browser window.');
         } else {
             showError('Connection Error', 'Failed to connect to the server. Please try again.');
@@ -141,6 +164,159 @@ async function handleSubmit() {
     }
 }
 
+/**
+ * Maximum time to follow a task's progress stream
+ * Calculation:
+ * - Intent parsing: ~4s (99th percentile)
+ * - Browser init: ~5s
+ * - 20 turns max × 13s per turn (API + action + page load) = 260s
+ * - Safety margin: +30s
+ * Total: 300 seconds (5 minutes) for 99% confidence
+ */
+const TASK_TIMEOUT_MS = 300000;
+
+/**
+ * Progress shown for each task phase
+ */
+const PHASE_PROGRESS = {
+    task_created: { percent: 5, title: 'Starting...', message: 'Task created' },
+    parsing_started: { percent: 10, title: 'Parsing intent...', message: 'Understanding product and constraints' },
+    parsing_completed: { percent: 25, title: 'Parsing intent...', message: 'Request understood' },
+    validation_started: { percent: 30, title: 'Validating...', message: 'Checking the request' },
+    validation_completed: { percent: 35, title: 'Validating...', message: 'Request is valid' },
+    execution_started: { percent: 40, title: 'Searching...', message: 'Opening the browser' },
+    execution_completed: { percent: 90, title: 'Processing...', message: 'Collecting results' },
+    results_written: { percent: 95, title: 'Saving...', message: 'Results saved' },
+};
+
+/**
+ * Follow a task's Server-Sent Events stream until its final result arrives
+ */
+function followTaskEvents(eventsUrl) {
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(eventsUrl);
+        let comparedProducts = 0;
+
+        const timeoutId = setTimeout(() => {
+            source.close();
+            reject(Object.assign(new Error('Task timed out'), { name: 'TimeoutError' }));
+        }, TASK_TIMEOUT_MS);
+
+        source.onmessage = (message) => {
+            const entry = JSON.parse(message.data);
+
+            if (entry.event === 'task_result') {
+                clearTimeout(timeoutId);
+                source.close();
+                hideConfirmation();
+                resolve(entry.data);
+                return;
+            }
+
+            if (entry.event === 'confirmation_required') {
+                showConfirmation(entry.data);
+                return;
+            }
+
+            if (entry.event === 'confirmation_resolved') {
+                if (entry.data.confirmation_id === pendingConfirmationId) {
+                    hideConfirmation();
+                }
+                return;
+            }
+
+            if (entry.event === 'comparison_product_completed') {
+                // Products are searched side by side, so count them as they finish
+                comparedProducts++;
+                const { total, product } = entry.data;
+                const percent = 40 + Math.round((comparedProducts / total) * 50);
+                updateProgress(percent, `Comparing (${comparedProducts}/${total})...`, `${product} searched`);
+                return;
+            }
+
+            if (entry.event === 'computer_use_action') {
+                const { turn, maxTurns, action } = entry.data;
+                const percent = 40 + Math.round((turn / maxTurns) * 50);
+                updateProgress(percent, `Browsing (turn ${turn}/${maxTurns})...`, formatAction(action));
+                return;
+            }
+
+            const phase = PHASE_PROGRESS[entry.event];
+            if (phase) {
+                updateProgress(phase.percent, phase.title, phase.message);
+            }
+        };
+
+        source.onerror = () => {
+            // EventSource retries on its own while the connection is recoverable
+            if (source.readyState === EventSource.CLOSED) {
+                clearTimeout(timeoutId);
+                reject(new Error('Event stream closed'));
+            }
+        };
+    });
+}
+
+/**
+ * Show an action the agent is waiting to have confirmed
+ */
+function showConfirmation(data) {
+    pendingConfirmationId = data.confirmation_id;
+
+    confirmationExplanation.textContent = data.explanation || 'The agent wants to perform a sensitive action.';
+    const target = data.coordinates ? ` at (${data.coordinates.x}, ${data.coordinates.y})` : '';
+    const expires = new Date(data.expires_at).toLocaleTimeString();
+    confirmationDetails.textContent = `${formatAction(data.action)}${target} on ${data.url}. Denied automatically at ${expires}.`;
+
+    if (data.screenshot_url) {
+        confirmationScreenshot.src = data.screenshot_url;
+        confirmationScreenshot.classList.remove('hidden');
+    } else {
+        confirmationScreenshot.classList.add('hidden');
+    }
+
+    confirmApproveBtn.disabled = false;
+    confirmDenyBtn.disabled = false;
+    confirmationSection.classList.remove('hidden');
+    updateProgress(progressFill.style.width.replace('%', ''), 'Waiting for confirmation...', 'The agent needs your approval to continue');
+}
+
+/**
+ * Hide the confirmation prompt
+ */
+function hideConfirmation() {
+    pendingConfirmationId = null;
+    confirmationSection.classList.add('hidden');
+}
+
+/**
+ * Send the user's decision on the pending confirmation
+ */
+async function answerConfirmation(approved) {
+    if (!pendingConfirmationId) return;
+
+    confirmApproveBtn.disabled = true;
+    confirmDenyBtn.disabled = true;
+
+    try {
+        const response = await fetch(`/api/confirmations/${pendingConfirmationId}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ approved }),
+        });
+
+        // 409: already decided (e.g. timed out); the resolved event hides the prompt
+        if (!response.ok && response.status !== 409) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        hideConfirmation();
+    } catch (error) {
+        console.error('Failed to send confirmation', error);
+        confirmApproveBtn.disabled = false;
+        confirmDenyBtn.disabled = false;
+    }
+}
+
 /**
  * Handle API response
  */
@@ -178,10 +354,18 @@ function handleResponse(data) {
             showError('Access Blocked', 'The target site has temporarily blocked access. Please try again later.');
             break;
 
+        case 'DISALLOWED':
+            showError('Not Allowed', 'The target site does not allow these pages to be crawled (robots.txt or site policy).');
+            break;
+
         case 'TIMEOUT':
             showError('Request Timeout', 'The request took too long. Please try again.');
             break;
 
+        case 'BUDGET_EXCEEDED':
+            showError('Budget Exceeded', data.errors?.join('\n') || 'The Gemini token or cost budget was used up before the search finished.');
+            break;
+
         default:
             if (data.errors?.length > 0) {
                 showError('Error', data.errors.join('\n'));
@@ -208,7 +392,6 @@ async function updateProgress(percent, title, message) {
     progressFill.style.width = `${percent}%`;
     statusTitle.textContent = title;
     statusMessage.textContent = message;
-    await sleep(300);
 }
 
 /**
@@ -222,15 +405,20 @@ function showResults(data) {
         const matching = data.summary.matching_criteria;
         const total = data.summary.total_results;
         const lowest = data.summary.lowest_price;
-        resultsSummary.textContent = `${matching}/${total} match criteria • Lowest: ${formatPrice(lowest, data.results[0]?.currency)}`;
+        resultsSummary.textContent = `${matching}/${total} match criteria • Lowest: ${formatPrice(lowest, data.summary.currency || data.results[0]?.currency)}`;
     } else {
         resultsSummary.textContent = `${data.results?.length || 0} results found`;
     }
 
+    // Comparison runs are recorded per product, starting with the first
+    showReplayButton(data.comparison ? `${data.task_id}-p1` : data.task_id);
+
     // Results grid
     resultsGrid.innerHTML = '';
 
-    if (data.results && data.results.length > 0) {
+    if (data.comparison) {
+        showComparison(data);
+    } else if (data.results && data.results.length > 0) {
         data.results.forEach(result => {
             resultsGrid.appendChild(createResultCard(result));
         });
@@ -239,6 +427,54 @@ function showResults(data) {
     }
 }
 
+/**
+ * Show a comparison: each product's cheapest offer side by side, then the
+ * results grouped per product
+ */
+function showComparison(data) {
+    const { products, cheapest_overall: cheapestOverall } = data.comparison;
+
+    const summary = document.createElement('div');
+    summary.className = 'comparison-grid';
+    products.forEach(entry => {
+        const isCheapest = entry.cheapest && cheapestOverall &&
+            entry.cheapest.product_label === cheapestOverall.product_label;
+
+        const card = document.createElement('div');
+        card.className = `comparison-card ${isCheapest ? 'cheapest' : ''}`;
+        card.innerHTML = entry.cheapest ? `
+      <p class="comparison-label">${escapeHtml(entry.label)}${isCheapest ? ' • Cheapest' : ''}</p>
+      <div class="price-value">${formatPrice(entry.cheapest.price, entry.cheapest.currency)}</div>
+      <p class="comparison-store">${escapeHtml(entry.cheapest.store_name || getDomain(entry.cheapest.source_url))}</p>
+      <p class="comparison-count">${entry.matching_criteria}/${entry.result_count} match criteria</p>
+      <a href="${escapeHtml(entry.cheapest.source_url)}" target="_blank" rel="noopener" class="result-link">View Product →</a>
+    ` : `
+      <p class="comparison-label">${escapeHtml(entry.label)}</p>
+      <div class="price-value">N/A</div>
+      <p class="comparison-count">No results • ${escapeHtml(entry.status.replace(/_/g, ' ').toLowerCase())}</p>
+    `;
+        summary.appendChild(card);
+    });
+    resultsGrid.appendChild(summary);
+
+    products.forEach(entry => {
+        const heading = document.createElement('h3');
+        heading.className = 'comparison-heading';
+        heading.textContent = entry.label;
+        resultsGrid.appendChild(heading);
+
+        const results = (data.results || []).filter(result => result.product_label === entry.label);
+        if (results.length > 0) {
+            results.forEach(result => resultsGrid.appendChild(createResultCard(result)));
+        } else {
+            const empty = document.createElement('p');
+            empty.className = 'no-results';
+            empty.textContent = 'No results found';
+            resultsGrid.appendChild(empty);
+        }
+    });
+}
+
 /**
  * Create result card element
  */
@@ -257,7 +493,13 @@ function createResultCard(result) {
       </div>
       <div class="result-price">
         <div class="price-value">${formatPrice(result.current_price, result.currency)}</div>
-        <div class="price-status">${result.meets_criteria ? '✓ Below target' : 'Above target'}</div>
+        ${result.on_sale ? `
+        <div class="price-original"><s>${formatPrice(result.original_price, result.currency)}</s> -${result.discount_percent}%</div>
+        ` : ''}
+        ${result.converted_currency && result.converted_currency !== result.currency ? `
+        <div class="price-converted">≈ ${result.converted_price !== null ? formatPrice(result.converted_price, result.converted_currency) : 'no rate'}</div>
+        ` : ''}
+        <div class="price-status">${formatCriteriaStatus(result)}</div>
       </div>
     </div>
     <div class="result-meta">
@@ -266,9 +508,15 @@ function createResultCard(result) {
         <span class="meta-value">${escapeHtml(result.store_name || 'Unknown')}</span>
       </div>
       <div class="meta-item">
-        <span class="meta-label">Availability</span>
+        <span class="meta-label">Availability${result.selected_size ? ` (size ${escapeHtml(result.selected_size)})` : ''}</span>
         <span class="meta-value ${availabilityClass}">${formatAvailability(result.availability)}</span>
       </div>
+      ${result.size_availability ? `
+      <div class="meta-item">
+        <span class="meta-label">Sizes in stock</span>
+        <span class="meta-value">${escapeHtml(formatSizesInStock(result.size_availability))}</span>
+      </div>
+      ` : ''}
       ${result.screenshot ? `
       <div class="meta-item">
         <span class="meta-label">Evidence</span>
@@ -284,6 +532,126 @@ function createResultCard(result) {
     return card;
 }
 
+/**
+ * Offer a replay of the task's Computer Use run, if one was recorded
+ */
+async function showReplayButton(taskId) {
+    replayRunBtn.classList.add('hidden');
+    if (!taskId) return;
+
+    try {
+        const response = await fetch(`/api/trajectories/${encodeURIComponent(taskId)}`, { method: 'HEAD' });
+        if (response.ok) {
+            replayRunBtn.dataset.taskId = taskId;
+            replayRunBtn.classList.remove('hidden');
+        }
+    } catch (error) {
+        console.error('Failed to check for a recorded run', error);
+    }
+}
+
+/**
+ * Open the replay viewer with the list of recorded runs, on the given run or the newest one
+ */
+async function openReplay(taskId = null) {
+    replaySection.classList.remove('hidden');
+    replaySection.scrollIntoView({ behavior: 'smooth' });
+
+    try {
+        const response = await fetch('/api/trajectories');
+        const { trajectories } = await response.json();
+
+        replayRunSelect.innerHTML = '';
+        trajectories.forEach(run => {
+            const option = document.createElement('option');
+            option.value = run.task_id;
+            option.textContent = `${new Date(run.started_at).toLocaleString()} — ${run.goal.split('\n')[0].slice(0, 60)} (${run.step_count} steps, ${run.status})`;
+            replayRunSelect.appendChild(option);
+        });
+
+        if (trajectories.length === 0) {
+            replayEmpty.classList.remove('hidden');
+            replayViewer.classList.add('hidden');
+            return;
+        }
+
+        replayEmpty.classList.add('hidden');
+        replayRunSelect.value = taskId || trajectories[0].task_id;
+        await loadReplay(replayRunSelect.value);
+    } catch (error) {
+        console.error('Failed to load recorded runs', error);
+    }
+}
+
+/**
+ * Load a run and show its first step
+ */
+async function loadReplay(taskId) {
+    const response = await fetch(`/api/trajectories/${encodeURIComponent(taskId)}`);
+    if (!response.ok) {
+        console.error(`Failed to load run ${taskId}: HTTP ${response.status}`);
+        return;
+    }
+
+    replayTrajectory = await response.json();
+    replayViewer.classList.remove('hidden');
+    showReplayStep(0);
+}
+
+/**
+ * Show one step: the page the model saw, where it acted and what happened
+ */
+function showReplayStep(index) {
+    const { steps, viewport } = replayTrajectory;
+    if (steps.length === 0) {
+        replayScreenshot.src = replayTrajectory.initial_screenshot_url || '';
+        replayMarker.classList.add('hidden');
+        replayPosition.textContent = 'No steps recorded';
+        replayDetails.innerHTML = '';
+        replayPrevBtn.disabled = true;
+        replayNextBtn.disabled = true;
+        return;
+    }
+
+    replayStepIndex = Math.max(0, Math.min(index, steps.length - 1));
+    const step = steps[replayStepIndex];
+
+    replayScreenshot.src = step.screenshot_before_url || step.screenshot_url || '';
+    if (step.coordinates) {
+        // Coordinates are viewport pixels; the screenshot is scaled to fit
+        replayMarker.style.left = `${(step.coordinates.x / viewport.width) * 100}%`;
+        replayMarker.style.top = `${(step.coordinates.y / viewport.height) * 100}%`;
+        replayMarker.classList.remove('hidden');
+    } else {
+        replayMarker.classList.add('hidden');
+    }
+
+    replayPosition.textContent = `Step ${replayStepIndex + 1}/${steps.length}`;
+    replayPrevBtn.disabled = replayStepIndex === 0;
+    replayNextBtn.disabled = replayStepIndex === steps.length - 1;
+
+    const details = [
+        { label: 'Turn', value: step.turn },
+        { label: 'Action', value: step.action ? formatAction(step.action) : 'Final answer' },
+        { label: 'Arguments', value: step.args ? JSON.stringify(step.args) : null },
+        { label: 'URL', value: step.url },
+        { label: 'Duration', value: step.duration_ms !== null ? `${step.duration_ms} ms` : null },
+        { label: 'Model', value: step.model_duration_ms !== null ? `${step.model_duration_ms} ms` : null },
+        { label: 'Tokens', value: step.prompt_tokens !== null && step.prompt_tokens !== undefined ? `${step.prompt_tokens} in / ${step.response_tokens} out` : null },
+        { label: 'Confirmation', value: step.confirmation ? `${step.confirmation.status} (${step.confirmation.decided_by})` : null },
+        { label: 'Error', value: step.error },
+        { label: 'Model said', value: step.model_text },
+    ];
+
+    replayDetails.innerHTML = details
+        .filter(item => item.value !== null && item.value !== undefined)
+        .map(item => `
+      <dt>${item.label}</dt>
+      <dd class="${item.label === 'Error' ? 'replay-error' : ''}">${escapeHtml(String(item.value))}</dd>
+    `)
+        .join('');
+}
+
 /**
  * Show parsed information panel
  */
@@ -296,7 +664,12 @@ function showParsedInfo(parsed) {
     if (parsed.product?.brand) {
         items.push({ label: 'Brand', value: parsed.product.brand });
     }
-    if (parsed.product?.model) {
+    if (parsed.products?.length > 1) {
+        items.push({
+            label: 'Compare',
+            value: parsed.products.map(product => [product.brand, product.model].filter(Boolean).join(' ')).join(' vs '),
+        });
+    } else if (parsed.product?.model) {
         items.push({ label: 'Model', value: parsed.product.model });
     }
     if (parsed.product?.category) {
@@ -370,6 +743,7 @@ function hideAllSections() {
     errorSection.classList.add('hidden');
     clarificationSection.classList.add('hidden');
     parsedSection.classList.add('hidden');
+    hideConfirmation();
 }
 
 // Utility functions
@@ -387,6 +761,20 @@ function formatPrice(amount, currency = 'EUR') {
     return `${symbol}${amount.toFixed(2)}`;
 }
 
+function formatAction(action) {
+    const labels = {
+        'navigate': 'Opening page',
+        'click_at': 'Clicking',
+        'type_text_at': 'Typing',
+        'scroll_document': 'Scrolling',
+        'scroll_at': 'Scrolling',
+        'go_back': 'Going back',
+        'search': 'Searching',
+        'report_results': 'Reporting results',
+    };
+    return labels[action] || action.replace(/_/g, ' ');
+}
+
 function formatAvailability(status) {
     const labels = {
         'in_stock': 'In Stock',
@@ -396,6 +784,19 @@ function formatAvailability(status) {
     return labels[status] || status;
 }
 
+function formatCriteriaStatus(result) {
+    // Restock tasks report availability transitions instead of price targets
+    if (result.restocked !== null && result.restocked !== undefined) {
+        return result.restocked ? '✓ Back in stock' : 'Not restocked';
+    }
+    return result.meets_criteria ? '✓ Below target' : 'Above target';
+}
+
+function formatSizesInStock(sizes) {
+    const inStock = Object.keys(sizes).filter(size => sizes[size] === 'in_stock');
+    return inStock.length > 0 ? inStock.join(', ') : 'None';
+}
+
 function getDomain(url) {
     try {
         return new URL(url).hostname.replace('www.', '');
@@ -1,9 +1,37 @@
-import { chromium } from 'playwright';
 import path from 'path';
 import config from '../config.js';
 import { createTaskLogger } from '../logger.js';
+import { getBrowserPool } from '../browser/browser-pool.js';
+import { getPolitenessScheduler } from '../browser/politeness.js';
+import { getSitePolicy } from '../validation/site-policy.js';
 import { TaskStatus } from '../schemas.js';
 import { parsePrice, buildSearchQuery } from '../validation/normalizers.js';
+import {
+    collectStructuredData,
+    parseStructuredData,
+    selectOffer,
+    offersAvailability,
+} from '../extraction/structured-data.js';
+import {
+    PaginationMode,
+    getSearchResultsConfig,
+    getPaginationConfig,
+    countSearchTiles,
+    collectSearchTiles,
+    parseSearchTiles,
+    rankSearchTiles,
+} from '../extraction/search-results.js';
+import {
+    sizesFromOffers,
+    sizesFromOptions,
+    resolveSizeAvailability,
+    collectSizeOptions,
+} from '../extraction/sizes.js';
+
+/**
+ * Minimum parse confidence for prices found in generic price-like elements
+ */
+const MIN_HEURISTIC_PRICE_CONFIDENCE = 0.5;
 
 /**
  * Generate random delay for human-like behavior
@@ -12,19 +40,44 @@ function randomDelay(min, max) {
     return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
+/**
+ * Build a site's search URL for a query
+ */
+function buildSearchUrl(siteConfig, searchQuery) {
+    return siteConfig.search_url.replace('{query}', encodeURIComponent(searchQuery));
+}
+
+/**
+ * Run an async worker over items with at most `limit` running at once.
+ * Results keep the order of the items.
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
+
 /**
  * Browser Agent - handles all browser automation tasks
  */
 export class BrowserAgent {
     constructor() {
-        this.browser = null;
         this.context = null;
         this.page = null;
         this.logger = createTaskLogger('browser-agent', 'BrowserAgent');
     }
 
     /**
-     * Initialize browser instance
+     * Open an isolated context in the shared browser pool
      */
     async initialize(taskId) {
         const logger = createTaskLogger(taskId, 'BrowserAgent');
@@ -32,17 +85,7 @@ export class BrowserAgent {
         logger.info('Initializing browser');
 
         try {
-            this.browser = await chromium.launch({
-                headless: config.headless,
-                slowMo: config.debugMode ? 100 : config.slowMo,
-                args: [
-                    '--disable-blink-features=AutomationControlled',
-                    '--disable-dev-shm-usage',
-                    '--no-sandbox',
-                ],
-            });
-
-            this.context = await this.browser.newContext({
+            this.context = await getBrowserPool().acquireContext({
                 viewport: { width: 1366, height: 768 },
                 userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
                 locale: 'en-US',
@@ -66,12 +109,11 @@ export class BrowserAgent {
     }
 
     /**
-     * Close browser instance
+     * Release the context back to the pool
      */
     async close() {
-        if (this.browser) {
-            await this.browser.close();
-            this.browser = null;
+        if (this.context) {
+            await getBrowserPool().releaseContext(this.context);
             this.context = null;
             this.page = null;
         }
@@ -174,7 +216,19 @@ export class BrowserAgent {
     async navigateTo(url, taskId) {
         const logger = createTaskLogger(taskId, 'BrowserAgent');
 
-        logger.info('Navigating to URL', { url });
+        // Never visit pages robots.txt or the site policy rule out
+        const policy = await getSitePolicy().check(url);
+        if (!policy.allowed) {
+            logger.warn('Navigation disallowed', { url, reason: policy.reason });
+            return { success: false, status: TaskStatus.DISALLOWED, reason: policy.reason };
+        }
+        if (policy.crawl_delay) {
+            getPolitenessScheduler().setCrawlDelay(url, policy.crawl_delay * 1000);
+        }
+
+        // Wait for the site's politeness budget, shared by every task
+        const waited = await getPolitenessScheduler().acquire(url);
+        logger.info('Navigating to URL', { url, waited });
 
         try {
             const response = await this.page.goto(url, {
@@ -182,6 +236,10 @@ export class BrowserAgent {
                 timeout: config.requestTimeout,
             });
 
+            // Report first: CAPTCHA challenges usually come with a 429/403 and must slow the domain down too
+            const statusCode = response?.status() || 200;
+            getPolitenessScheduler().report(url, statusCode, response?.headers()['retry-after']);
+
             await this.page.waitForTimeout(randomDelay(1000, 2000));
 
             // Handle cookie banner
@@ -189,12 +247,11 @@ export class BrowserAgent {
 
             // Check for CAPTCHA
             if (await this.detectCaptcha()) {
-                logger.warn('CAPTCHA detected');
+                logger.warn('CAPTCHA detected', { statusCode });
                 return { success: false, status: TaskStatus.CAPTCHA };
             }
 
             // Check for blocking
-            const statusCode = response?.status() || 200;
             if (statusCode === 403 || statusCode === 429) {
                 logger.warn('Access blocked', { statusCode });
                 return { success: false, status: TaskStatus.BLOCKED };
@@ -227,21 +284,53 @@ export class BrowserAgent {
         return filepath;
     }
 
+    /**
+     * Extract schema.org product data (JSON-LD, microdata, OpenGraph) from the page
+     */
+    async extractStructuredData(taskId) {
+        const logger = createTaskLogger(taskId, 'BrowserAgent');
+
+        try {
+            const productData = parseStructuredData(await collectStructuredData(this.page));
+            if (productData) {
+                logger.debug('Structured data found', {
+                    method: productData.method,
+                    offers: productData.offers.length,
+                });
+            }
+            return productData;
+        } catch (error) {
+            logger.debug('Structured data extraction failed', { error: error.message });
+            return null;
+        }
+    }
+
     /**
      * Extract price from page using multiple strategies
      */
-    async extractPrice(selectors, taskId) {
+    async extractPrice(selectors, taskId, productData = null, size = null) {
         const logger = createTaskLogger(taskId, 'BrowserAgent');
 
+        // Strategy 0: Structured data embedded by the retailer
+        const offer = selectOffer(productData, size);
+        if (offer) {
+            logger.debug('Price extracted via structured data', {
+                method: productData.method,
+                amount: offer.price,
+                currency: offer.currency,
+            });
+            return { amount: offer.price, currency: offer.currency, method: productData.method };
+        }
+
         // Strategy 1: Use provided selectors
         if (selectors?.price) {
             try {
                 const element = await this.page.$(selectors.price);
                 if (element) {
                     const text = await element.textContent();
-                    const { amount, currency } = parsePrice(text);
+                    const { amount, currency, confidence } = parsePrice(text);
                     if (amount) {
-                        logger.debug('Price extracted via selector', { amount, currency });
+                        logger.debug('Price extracted via selector', { amount, currency, confidence });
                         return { amount, currency, method: 'selector' };
                     }
                 }
@@ -265,9 +354,10 @@ export class BrowserAgent {
                 const elements = await this.page.$$(pattern);
                 for (const element of elements) {
                     const text = await element.textContent();
-                    const { amount, currency } = parsePrice(text);
-                    if (amount) {
-                        logger.debug('Price extracted via heuristic', { pattern, amount, currency });
+                    const { amount, currency, confidence } = parsePrice(text);
+                    // Generic price-like elements also hold discounts and counters, so require a currency
+                    if (amount && confidence >= MIN_HEURISTIC_PRICE_CONFIDENCE) {
+                        logger.debug('Price extracted via heuristic', { pattern, amount, currency, confidence });
                         return { amount, currency, method: 'heuristic' };
                     }
                 }
@@ -279,17 +369,11 @@ export class BrowserAgent {
         // Strategy 3: Search visible text for price patterns
         try {
             const bodyText = await this.page.textContent('body');
-            const priceRegex = /(?:€|EUR|USD|\$|£|GBP)\s*(\d+(?:[.,]\d{2})?)|(\d+(?:[.,]\d{2})?)\s*(?:€|EUR|USD|\$|£|GBP)/g;
-            const matches = [...bodyText.matchAll(priceRegex)];
-
-            if (matches.length > 0) {
-                const match = matches[0];
-                const priceStr = match[1] || match[2];
-                const { amount, currency } = parsePrice(match[0]);
-                if (amount) {
-                    logger.debug('Price extracted via regex', { amount, currency });
-                    return { amount, currency, method: 'regex' };
-                }
+            const { amount, currency, confidence } = parsePrice(bodyText);
+
+            if (amount && currency) {
+                logger.debug('Price extracted via regex', { amount, currency, confidence });
+                return { amount, currency, method: 'regex' };
             }
         } catch {
             // Fallback failed
@@ -299,10 +383,66 @@ export class BrowserAgent {
         return { amount: null, currency: null, method: null };
     }
 
+    /**
+     * Extract the pre-sale price of a discounted product. Only a price
+     * above the current one counts as an original price.
+     */
+    async extractOriginalPrice(selectors, taskId, productData = null, size = null, currentPrice = null) {
+        const logger = createTaskLogger(taskId, 'BrowserAgent');
+
+        if (!currentPrice) {
+            return { amount: null, method: null };
+        }
+
+        // Strategy 0: Strike-through or list price in structured data
+        const offer = selectOffer(productData, size);
+        if (offer?.original_price > currentPrice) {
+            logger.debug('Original price extracted via structured data', { amount: offer.original_price });
+            return { amount: offer.original_price, method: productData.method };
+        }
+
+        // Strategy 1: Site selector, then common strike-through markup
+        const originalPricePatterns = [
+            selectors?.original_price,
+            'del',
+            's',
+            '[class*="original-price"]',
+            '[class*="originalPrice"]',
+            '[class*="was-price"]',
+            '[class*="old-price"]',
+            '[class*="strike"]',
+            '[style*="line-through"]',
+        ].filter(Boolean);
+
+        for (const pattern of originalPricePatterns) {
+            try {
+                const elements = await this.page.$$(pattern);
+                for (const element of elements) {
+                    const { amount, confidence } = parsePrice(await element.textContent());
+                    const isSelector = pattern === selectors?.original_price;
+
+                    if (amount > currentPrice && (isSelector || confidence >= MIN_HEURISTIC_PRICE_CONFIDENCE)) {
+                        const method = isSelector ? 'selector' : 'heuristic';
+                        logger.debug('Original price extracted', { pattern, amount, method });
+                        return { amount, method };
+                    }
+                }
+            } catch {
+                // Continue to next pattern
+            }
+        }
+
+        return { amount: null, method: null };
+    }
+
     /**
      * Extract product name from page
      */
-    async extractProductName(selectors) {
+    async extractProductName(selectors, productData = null) {
+        if (productData?.name) {
+            return { name: productData.name, method: productData.method };
+        }
+
         const namePatterns = [
             selectors?.product_name,
             'h1',
@@ -318,7 +458,7 @@ export class BrowserAgent {
                 if (element) {
                     const text = await element.textContent();
                     if (text && text.trim().length > 0) {
-                        return text.trim();
+                        return { name: text.trim(), method: pattern === selectors?.product_name ? 'selector' : 'heuristic' };
                     }
                 }
             } catch {
@@ -328,13 +468,19 @@ export class BrowserAgent {
 
         // Fallback to title tag
         const title = await this.page.title();
-        return title || 'Unknown Product';
+        return { name: title || 'Unknown Product', method: 'title' };
     }
 
     /**
      * Extract availability status
      */
-    async extractAvailability() {
+    async extractAvailability(productData = null) {
+        // Structured data is authoritative when it declares availability
+        const structuredAvailability = offersAvailability(productData?.offers);
+        if (structuredAvailability !== 'unknown') {
+            return { availability: structuredAvailability, method: productData.method };
+        }
+
         const inStockIndicators = [
             'text="In Stock"',
             'text="in stock"',
@@ -358,7 +504,7 @@ export class BrowserAgent {
             try {
                 const element = await this.page.$(indicator);
                 if (element && await element.isVisible()) {
-                    return 'out_of_stock';
+                    return { availability: 'out_of_stock', method: 'heuristic' };
                 }
             } catch {
                 // Continue checking
@@ -369,14 +515,53 @@ export class BrowserAgent {
             try {
                 const element = await this.page.$(indicator);
                 if (element && await element.isVisible()) {
-                    return 'in_stock';
+                    return { availability: 'in_stock', method: 'heuristic' };
                 }
             } catch {
                 // Continue checking
             }
         }
 
-        return 'unknown';
+        return { availability: 'unknown', method: null };
+    }
+
+    /**
+     * Read per-size availability from structured data offers or the site's size picker
+     */
+    async extractSizeAvailability(selectors, taskId, productData = null) {
+        const logger = createTaskLogger(taskId, 'BrowserAgent');
+
+        // Strategy 0: Per-size offers in structured data
+        const structuredSizes = sizesFromOffers(productData?.offers);
+        if (Object.keys(structuredSizes).length > 0) {
+            return { sizes: structuredSizes, method: productData.method };
+        }
+
+        if (!selectors?.size_selector) {
+            return { sizes: null, method: null };
+        }
+
+        // Strategy 1: Open the size picker and read its options
+        try {
+            // Dropdown pickers only render their options once opened
+            const picker = await this.page.$(selectors.size_selector);
+            if (picker && await picker.isVisible()) {
+                await picker.click();
+                await this.page.waitForTimeout(randomDelay(500, 1000));
+            }
+
+            const sizes = sizesFromOptions(await collectSizeOptions(this.page, selectors));
+            await this.page.keyboard.press('Escape');
+
+            if (Object.keys(sizes).length > 0) {
+                logger.debug('Sizes read from size picker', { sizes });
+                return { sizes, method: 'size_picker' };
+            }
+        } catch (error) {
+            logger.debug('Size picker extraction failed', { error: error.message });
+        }
+
+        return { sizes: null, method: null };
     }
 
     /**
@@ -386,7 +571,7 @@ export class BrowserAgent {
         const logger = createTaskLogger(taskId, 'BrowserAgent');
 
         // Build search URL
-        const searchUrl = siteConfig.search_url.replace('{query}', encodeURIComponent(searchQuery));
+        const searchUrl = buildSearchUrl(siteConfig, searchQuery);
 
         logger.info('Performing search', { site: siteConfig.name, query: searchQuery });
 
@@ -403,6 +588,144 @@ export class BrowserAgent {
         return { success: true, status: TaskStatus.OK };
     }
 
+    /**
+     * Move to the next page of search results. Returns false when there is none.
+     */
+    async goToNextPage(siteConfig, pagination, searchQuery, pageNumber, taskId) {
+        const logger = createTaskLogger(taskId, 'BrowserAgent');
+
+        switch (pagination.mode) {
+            case PaginationMode.URL_TEMPLATE: {
+                const pageUrl = pagination.page_url
+                    .replace('{query}', encodeURIComponent(searchQuery))
+                    .replace('{page}', pageNumber);
+                const navResult = await this.navigateTo(pageUrl, taskId);
+                if (!navResult.success) return false;
+                await this.page.waitForTimeout(randomDelay(2000, 3000));
+                return true;
+            }
+
+            case PaginationMode.NEXT_BUTTON: {
+                const button = await this.page.$(pagination.next_selector);
+                if (!button || !await button.isVisible()) {
+                    logger.debug('No next page button', { page: pageNumber });
+                    return false;
+                }
+                await button.scrollIntoViewIfNeeded();
+                await this.page.waitForTimeout(randomDelay(500, 1000));
+                await button.click();
+                await this.page.waitForLoadState('domcontentloaded');
+                await this.page.waitForTimeout(randomDelay(2000, 3000));
+                return !await this.detectCaptcha();
+            }
+
+            case PaginationMode.INFINITE_SCROLL: {
+                // A "page" is one scroll to the bottom that renders more tiles
+                const before = await countSearchTiles(this.page, siteConfig.selectors);
+                await this.page.evaluate(() => window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' }));
+                await this.page.waitForTimeout(pagination.scroll_delay);
+                const after = await countSearchTiles(this.page, siteConfig.selectors);
+                return after > before;
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Read and rank search tiles across result pages. Stops at max_pages, when
+     * a page adds no new tiles, or when none of a page's tiles is relevant.
+     */
+    async collectPaginatedTiles(siteConfig, searchQuery, parsedTask, taskId) {
+        const logger = createTaskLogger(taskId, 'BrowserAgent');
+        const { max_results: maxResults } = getSearchResultsConfig(siteConfig);
+        const pagination = getPaginationConfig(siteConfig);
+        const seen = new Set();
+        const tiles = [];
+
+        for (let pageNumber = 1; pageNumber <= pagination.max_pages; pageNumber++) {
+            try {
+                if (pageNumber > 1) {
+                    // URL pages are throttled in navigateTo; clicks and scrolls load from the current site
+                    if (pagination.mode !== PaginationMode.URL_TEMPLATE) {
+                        await getPolitenessScheduler().acquire(this.page.url());
+                    }
+                    if (!await this.goToNextPage(siteConfig, pagination, searchQuery, pageNumber, taskId)) {
+                        break;
+                    }
+                }
+
+                // Infinite scroll and load-more buttons keep earlier tiles in the DOM, so read further down each time
+                const limit = pagination.mode === PaginationMode.URL_TEMPLATE ? maxResults : maxResults * pageNumber;
+                const rawTiles = await collectSearchTiles(this.page, siteConfig.selectors, limit);
+                const pageTiles = parseSearchTiles(rawTiles, this.page.url()).filter(tile => !seen.has(tile.url));
+                pageTiles.forEach(tile => seen.add(tile.url));
+
+                const ranked = rankSearchTiles(pageTiles, parsedTask.product);
+                tiles.push(...ranked);
+
+                logger.info('Search page extracted', { site: siteConfig.name, page: pageNumber, tiles: ranked.length });
+
+                if (ranked.length === 0) {
+                    break;
+                }
+                if (ranked.every(tile => tile.relevance < pagination.min_relevance)) {
+                    logger.info('Search results no longer relevant, stopping pagination', { page: pageNumber });
+                    break;
+                }
+            } catch (error) {
+                logger.debug('Search page extraction failed', { page: pageNumber, error: error.message });
+                break;
+            }
+        }
+
+        return rankSearchTiles(tiles, parsedTask.product);
+    }
+
+    /**
+     * Search one site in this agent's own browser context
+     */
+    async executeSite(siteName, searchQuery, parsedTask, taskId) {
+        const logger = createTaskLogger(taskId, 'BrowserAgent');
+
+        const siteConfig = config.sites.sites?.[siteName];
+        if (!siteConfig) {
+            logger.warn('Unknown site, using generic approach', { site: siteName });
+            return { status: TaskStatus.NOT_FOUND, results: [], errors: [] };
+        }
+
+        // Fail a disallowed site before opening a browser context for it
+        const searchUrl = buildSearchUrl(siteConfig, searchQuery);
+        const policy = await getSitePolicy().check(searchUrl);
+        if (!policy.allowed) {
+            logger.warn('Site search disallowed', { site: siteName, reason: policy.reason });
+            return {
+                status: TaskStatus.DISALLOWED,
+                results: [this.buildFailedSiteResult(searchUrl, parsedTask, TaskStatus.DISALLOWED, null)],
+                errors: [`${siteName}: ${policy.reason}`],
+            };
+        }
+
+        try {
+            await this.initialize(taskId);
+            const results = await this.searchSite(siteConfig, searchQuery, parsedTask, taskId);
+            return { status: TaskStatus.OK, results, errors: [] };
+
+        } catch (error) {
+            logger.error('Site search failed', { site: siteName, error: error.message });
+
+            if (this.page) {
+                await this.captureScreenshot(taskId, `${siteName}_error`).catch(() => { });
+            }
+
+            return { status: TaskStatus.TIMEOUT, results: [], errors: [`${siteName}: ${error.message}`] };
+
+        } finally {
+            await this.close();
+        }
+    }
+
     /**
      * Execute a complete scraping task
      */
@@ -412,37 +735,38 @@ export class BrowserAgent {
         const errors = [];
 
         try {
-            await this.initialize(taskId);
-
             const searchQuery = buildSearchQuery(parsedTask.product);
             logger.info('Starting task execution', { searchQuery });
 
             if (parsedTask.sources.mode === 'google') {
                 // Google Shopping search
+                const googleConfig = config.sites.sites?.google;
+                const policy = googleConfig
+                    ? await getSitePolicy().check(buildSearchUrl(googleConfig, searchQuery))
+                    : { allowed: true };
+                if (!policy.allowed) {
+                    logger.warn('Google search disallowed', { reason: policy.reason });
+                    return { status: TaskStatus.DISALLOWED, results: [], errors: [`google: ${policy.reason}`] };
+                }
+
+                await this.initialize(taskId);
                 const result = await this.searchGoogle(searchQuery, parsedTask, taskId);
                 if (result) results.push(...result);
             } else {
-                // Search specific sites
-                for (const siteName of parsedTask.sources.sites || []) {
-                    try {
-                        const siteConfig = config.sites.sites?.[siteName];
-                        if (!siteConfig) {
-                            logger.warn('Unknown site, using generic approach', { site: siteName });
-                            continue;
-                        }
-
-                        // Rate limiting
-                        await this.page.waitForTimeout(siteConfig.rate_limit || config.defaultRateLimit);
-
-                        const result = await this.searchSite(siteConfig, searchQuery, parsedTask, taskId);
-                        if (result) {
-                            results.push(result);
-                        }
+                // Search specific sites concurrently, each in its own context
+                const siteRuns = await mapWithConcurrency(
+                    parsedTask.sources.sites || [],
+                    config.maxConcurrentSites,
+                    siteName => new BrowserAgent().executeSite(siteName, searchQuery, parsedTask, taskId)
+                );
+
+                for (const run of siteRuns) {
+                    results.push(...run.results);
+                    errors.push(...run.errors);
+                }
 
-                    } catch (error) {
-                        logger.error('Site search failed', { site: siteName, error: error.message });
-                        errors.push(`${siteName}: ${error.message}`);
-                    }
+                if (siteRuns.length > 0 && siteRuns.every(run => run.status === TaskStatus.DISALLOWED)) {
+                    return { status: TaskStatus.DISALLOWED, results, errors };
                 }
             }
 
@@ -489,42 +813,31 @@ export class BrowserAgent {
             return results;
         }
 
-        // Extract search results
+        // Extract result cards across pages
         try {
-            const resultElements = await this.page.$$('[data-docid], .sh-dgr__content');
-
-            for (let i = 0; i < Math.min(resultElements.length, 5); i++) {
-                const element = resultElements[i];
-
-                try {
-                    const priceText = await element.$eval('.a8Pemb, [class*="price"]', el => el.textContent).catch(() => null);
-                    const nameText = await element.$eval('.tAxDx, [class*="title"]', el => el.textContent).catch(() => 'Unknown');
-                    const linkHref = await element.$eval('a', el => el.href).catch(() => null);
-
-                    if (priceText) {
-                        const { amount, currency } = parsePrice(priceText);
-
-                        if (amount) {
-                            const meetsCriteria = parsedTask.constraints.max_price
-                                ? amount <= parsedTask.constraints.max_price
-                                : true;
-
-                            results.push({
-                                product_name: nameText?.trim() || 'Unknown',
-                                current_price: amount,
-                                currency: currency || parsedTask.constraints.currency || 'EUR',
-                                availability: 'unknown',
-                                selected_size: null,
-                                timestamp: new Date().toISOString(),
-                                source_url: linkHref || this.page.url(),
-                                screenshot_path: null,
-                                meets_criteria: meetsCriteria,
-                            });
-                        }
-                    }
-                } catch (e) {
-                    logger.debug('Result extraction failed', { error: e.message });
-                }
+            const tiles = await this.collectPaginatedTiles(googleConfig, searchQuery, parsedTask, taskId);
+
+            for (const [index, tile] of tiles.entries()) {
+                results.push({
+                    product_name: tile.product_name,
+                    current_price: tile.price,
+                    currency: tile.currency || parsedTask.constraints.currency || 'EUR',
+                    original_price: tile.original_price,
+                    availability: 'unknown',
+                    selected_size: null,
+                    timestamp: new Date().toISOString(),
+                    source_url: tile.url,
+                    screenshot_path: null,
+                    meets_criteria: parsedTask.constraints.max_price
+                        ? tile.price <= parsedTask.constraints.max_price
+                        : true,
+                    search_rank: index + 1,
+                    extraction_methods: {
+                        price: 'search_card',
+                        product_name: 'search_card',
+                        availability: null,
+                    },
+                });
             }
 
             // Capture screenshot
@@ -541,60 +854,125 @@ export class BrowserAgent {
     }
 
     /**
-     * Search a specific site
+     * Search a specific site and return one result per relevant listing
      */
     async searchSite(siteConfig, searchQuery, parsedTask, taskId) {
         const logger = createTaskLogger(taskId, 'BrowserAgent');
 
         const searchResult = await this.performSearch(siteConfig, searchQuery, taskId);
         if (!searchResult.success) {
-            return {
-                product_name: 'Search failed',
-                current_price: 0,
-                currency: parsedTask.constraints.currency || 'EUR',
-                availability: 'unknown',
-                selected_size: null,
-                timestamp: new Date().toISOString(),
-                source_url: this.page.url(),
-                screenshot_path: await this.captureScreenshot(taskId, `${siteConfig.name}_error`),
-                meets_criteria: false,
-                error: searchResult.status,
-            };
+            // Nothing was loaded for a disallowed page, so there is nothing to capture
+            const screenshotPath = searchResult.status === TaskStatus.DISALLOWED
+                ? null
+                : await this.captureScreenshot(taskId, `${siteConfig.name}_error`);
+            return [this.buildFailedSiteResult(this.page.url(), parsedTask, searchResult.status, screenshotPath)];
         }
 
-        // Try to find first relevant product
-        const resultContainer = siteConfig.selectors?.result_container;
-        let productLink = null;
+        // Read every tile across result pages and rank them against the request
+        const { verify_top: verifyTop } = getSearchResultsConfig(siteConfig);
+        const tiles = await this.collectPaginatedTiles(siteConfig, searchQuery, parsedTask, taskId);
 
-        if (resultContainer) {
-            try {
-                const firstResult = await this.page.$(resultContainer);
-                if (firstResult) {
-                    const link = await firstResult.$('a');
-                    if (link) {
-                        productLink = await link.getAttribute('href');
+        // No tiles: selectors may be stale or the site redirected to a product page
+        if (tiles.length === 0) {
+            logger.info('No search tiles found, extracting current page', { site: siteConfig.name });
+            return [await this.extractProductPage(siteConfig, parsedTask, taskId)];
+        }
+
+        logger.info('Search tiles extracted', { site: siteConfig.name, tiles: tiles.length, verifyTop });
+
+        const searchScreenshot = await this.captureScreenshot(taskId, `${siteConfig.name.toLowerCase().replace(/\s+/g, '_')}_search`);
+        const results = [];
+
+        for (const [index, tile] of tiles.entries()) {
+            // Follow the top-ranked tiles into their product page for verification
+            if (index < verifyTop) {
+                try {
+                    await this.page.waitForTimeout(randomDelay(1000, 2000));
+                    const navResult = await this.navigateTo(tile.url, taskId);
+                    if (navResult.success) {
+                        await this.page.waitForTimeout(randomDelay(1500, 2500));
+                        const verified = await this.extractProductPage(siteConfig, parsedTask, taskId);
+                        if (verified.current_price) {
+                            results.push({ ...verified, search_rank: index + 1 });
+                            continue;
+                        }
                     }
+                } catch (error) {
+                    logger.debug('Product page verification failed', { url: tile.url, error: error.message });
                 }
-            } catch {
-                // Use current page
             }
+
+            results.push(this.buildTileResult(tile, index + 1, parsedTask, searchScreenshot));
         }
 
-        // Navigate to product page if found
-        if (productLink) {
-            const fullUrl = productLink.startsWith('http')
-                ? productLink
-                : new URL(productLink, this.page.url()).href;
+        return results;
+    }
 
-            await this.page.waitForTimeout(randomDelay(1000, 2000));
-            await this.navigateTo(fullUrl, taskId);
-            await this.page.waitForTimeout(randomDelay(1500, 2500));
-        }
+    /**
+     * Build the placeholder result of a site whose search failed
+     */
+    buildFailedSiteResult(url, parsedTask, status, screenshotPath) {
+        return {
+            product_name: 'Search failed',
+            current_price: 0,
+            currency: parsedTask.constraints.currency || 'EUR',
+            availability: 'unknown',
+            selected_size: null,
+            timestamp: new Date().toISOString(),
+            source_url: url,
+            screenshot_path: screenshotPath,
+            meets_criteria: false,
+            error: status,
+        };
+    }
+
+    /**
+     * Build a result from a search tile that was not opened
+     */
+    buildTileResult(tile, rank, parsedTask, screenshotPath) {
+        return {
+            product_name: tile.product_name,
+            current_price: tile.price,
+            currency: tile.currency || parsedTask.constraints.currency || 'EUR',
+            original_price: tile.original_price,
+            availability: 'unknown',
+            selected_size: parsedTask.constraints.size,
+            sku: null,
+            timestamp: new Date().toISOString(),
+            source_url: tile.url,
+            screenshot_path: screenshotPath,
+            meets_criteria: parsedTask.constraints.max_price
+                ? tile.price <= parsedTask.constraints.max_price
+                : true,
+            search_rank: rank,
+            extraction_methods: {
+                price: 'search_tile',
+                product_name: 'search_tile',
+                availability: null,
+                original_price: tile.original_price ? 'search_tile' : null,
+            },
+        };
+    }
+
+    /**
+     * Extract a result from the product page currently open
+     */
+    async extractProductPage(siteConfig, parsedTask, taskId) {
+        const logger = createTaskLogger(taskId, 'BrowserAgent');
 
-        // Extract product info
-        const { amount, currency } = await this.extractPrice(siteConfig.selectors, taskId);
-        const productName = await this.extractProductName(siteConfig.selectors);
-        const availability = await this.extractAvailability();
+        // Extract product info, structured data first
+        const productData = await this.extractStructuredData(taskId);
+        const size = parsedTask.constraints.size;
+        const { amount, currency, method: priceMethod } = await this.extractPrice(siteConfig.selectors, taskId, productData, size);
+        const { amount: originalPrice, method: originalPriceMethod } = await this.extractOriginalPrice(siteConfig.selectors, taskId, productData, size, amount);
+        const { name: productName, method: nameMethod } = await this.extractProductName(siteConfig.selectors, productData);
+        const { availability: pageAvailability, method: pageAvailabilityMethod } = await this.extractAvailability(productData);
+        const { sizes: sizeAvailability, method: sizesMethod } = await this.extractSizeAvailability(siteConfig.selectors, taskId, productData);
+
+        // When sizes could be read, only the requested size's stock counts
+        const sizeStatus = resolveSizeAvailability(sizeAvailability, size);
+        const availability = sizeStatus !== 'unknown' ? sizeStatus : pageAvailability;
+        const availabilityMethod = sizeStatus !== 'unknown' ? sizesMethod : pageAvailabilityMethod;
         const screenshotPath = await this.captureScreenshot(taskId, siteConfig.name.toLowerCase().replace(/\s+/g, '_'));
 
         const meetsCriteria = parsedTask.constraints.max_price && amount
@@ -604,6 +982,7 @@ export class BrowserAgent {
         logger.info('Extraction complete', {
             site: siteConfig.name,
             price: amount,
+            priceMethod,
             meetsCriteria
         });
 
@@ -611,16 +990,38 @@ export class BrowserAgent {
             product_name: productName,
             current_price: amount || 0,
             currency: currency || parsedTask.constraints.currency || 'EUR',
+            original_price: originalPrice,
             availability,
             selected_size: parsedTask.constraints.size,
+            size_availability: sizeAvailability,
+            sku: selectOffer(productData, size)?.sku || productData?.sku || null,
             timestamp: new Date().toISOString(),
             source_url: this.page.url(),
             screenshot_path: screenshotPath,
             meets_criteria: meetsCriteria,
+            extraction_methods: {
+                price: priceMethod,
+                product_name: nameMethod,
+                availability: availabilityMethod,
+                original_price: originalPriceMethod,
+            },
         };
     }
 }
 
+/**
+ * Simulate a size picker around the requested size
+ */
+function mockSizeAvailability(size) {
+    const numeric = parseFloat(size);
+    const sizes = Number.isFinite(numeric)
+        ? [-2, -1, 0, 1, 2].map(offset => String(numeric + offset))
+        : ['XS', 'S', 'M', 'L', 'XL'];
+    if (!sizes.includes(size)) sizes.push(size);
+
+    return Object.fromEntries(sizes.map(s => [s, Math.random() > 0.3 ? 'in_stock' : 'out_of_stock']));
+}
+
 /**
  * Mock browser agent for dry-run mode
  */
@@ -642,19 +1043,33 @@ export class MockBrowserAgent {
             // Simulate random price within reasonable range
             const basePrice = parsedTask.constraints.max_price || 100;
             const mockPrice = Math.round((basePrice * (0.7 + Math.random() * 0.5)) * 100) / 100;
+            const mockOriginalPrice = Math.random() > 0.5
+                ? Math.round(mockPrice * (1.2 + Math.random() * 0.4) * 100) / 100
+                : null;
+            const mockSizes = parsedTask.constraints.size ? mockSizeAvailability(parsedTask.constraints.size) : null;
 
             results.push({
                 product_name: `${parsedTask.product.brand || ''} ${parsedTask.product.model || searchQuery}`.trim(),
                 current_price: mockPrice,
                 currency: parsedTask.constraints.currency || 'EUR',
-                availability: Math.random() > 0.3 ? 'in_stock' : 'out_of_stock',
+                original_price: mockOriginalPrice,
+                availability: mockSizes
+                    ? resolveSizeAvailability(mockSizes, parsedTask.constraints.size)
+                    : (Math.random() > 0.3 ? 'in_stock' : 'out_of_stock'),
                 selected_size: parsedTask.constraints.size,
+                size_availability: mockSizes,
                 timestamp: new Date().toISOString(),
                 source_url: `https://example.com/mock/${site.toLowerCase()}`,
                 screenshot_path: null,
                 meets_criteria: parsedTask.constraints.max_price
                     ? mockPrice <= parsedTask.constraints.max_price
                     : true,
+                extraction_methods: {
+                    price: 'mock',
+                    product_name: 'mock',
+                    availability: 'mock',
+                    original_price: mockOriginalPrice ? 'mock' : null,
+                },
             });
         }
 
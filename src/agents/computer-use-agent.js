@@ -1,8 +1,18 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { chromium } from 'playwright';
+import { GoogleGenerativeAI, SchemaType } from '@google/generative-ai';
 import path from 'path';
 import config from '../config.js';
-import { createTaskLogger } from '../logger.js';
+import { createTaskLogger, logTaskEvent } from '../logger.js';
+import { getBrowserPool } from '../browser/browser-pool.js';
+import { getPolitenessScheduler } from '../browser/politeness.js';
+import { NavigationSandbox } from '../browser/navigation-sandbox.js';
+import { getSitePolicy } from '../validation/site-policy.js';
+import { getConfirmationManager } from './confirmation-manager.js';
+import { ConfirmationStatus, ReportResultsSchema, validateSchema } from '../schemas.js';
+import { normalizeCurrency } from '../validation/normalizers.js';
+import { parsePrice } from '../validation/price-parser.js';
+import { TrajectoryRecorder } from '../output/trajectory-recorder.js';
+import { getUsageTracker } from './usage-tracker.js';
+import { ScreenshotHistory, getContextPolicy, summarizeScreenshot } from './screenshot-history.js';
 
 /**
  * Screen dimensions for Computer Use
@@ -11,6 +21,47 @@ import { createTaskLogger } from '../logger.js';
 const SCREEN_WIDTH = 1440;
 const SCREEN_HEIGHT = 900;
 
+/**
+ * Gemini model with the Computer Use tool
+ */
+const COMPUTER_USE_MODEL = 'gemini-2.5-computer-use-preview-10-2025';
+
+/**
+ * Custom function the model calls with its final answer, next to the
+ * predefined Computer Use actions. Mirrors ReportResultsSchema.
+ */
+export const REPORT_RESULTS_FUNCTION = 'report_results';
+
+const REPORT_RESULTS_DECLARATION = {
+    name: REPORT_RESULTS_FUNCTION,
+    description: 'Report the products found, as the final answer. Call it once, after reading the prices from the page.',
+    parameters: {
+        type: SchemaType.OBJECT,
+        properties: {
+            results: {
+                type: SchemaType.ARRAY,
+                description: 'Products found; an empty list if none matched',
+                items: {
+                    type: SchemaType.OBJECT,
+                    properties: {
+                        product_name: { type: SchemaType.STRING, description: 'Full product name as shown on the page' },
+                        price: { type: SchemaType.NUMBER, description: 'Current price, without currency symbol' },
+                        currency: { type: SchemaType.STRING, description: 'ISO 4217 code, e.g. EUR, USD, GBP' },
+                        store_name: { type: SchemaType.STRING, description: 'Store selling the product' },
+                        source_url: { type: SchemaType.STRING, description: 'URL of the page where the price was read' },
+                        availability: {
+                            type: SchemaType.STRING,
+                            enum: ['in_stock', 'out_of_stock', 'unknown'],
+                        },
+                    },
+                    required: ['product_name', 'price', 'currency', 'store_name', 'source_url', 'availability'],
+                },
+            },
+        },
+        required: ['results'],
+    },
+};
+
 /**
  * Computer Use Agent - Uses Gemini 2.5 Computer Use Preview model
  * Based on official documentation: https://ai.google.dev/gemini-api/docs/computer-use
@@ -21,7 +72,7 @@ export class ComputerUseAgent {
 
         // Use the official Computer Use model
         this.model = genAI.getGenerativeModel({
-            model: 'gemini-2.5-computer-use-preview-10-2025',
+            model: COMPUTER_USE_MODEL,
             // Configure the computer_use tool
             tools: [{
                 computerUse: {
@@ -29,13 +80,16 @@ export class ComputerUseAgent {
                     // Optionally exclude functions we don't need
                     // excludedPredefinedFunctions: ['drag_and_drop']
                 }
+            }, {
+                functionDeclarations: [REPORT_RESULTS_DECLARATION],
             }],
         });
 
-        this.browser = null;
         this.context = null;
         this.page = null;
+        this.sandbox = null;
         this.conversationHistory = [];
+        this.contextPolicy = getContextPolicy();
         this.maxTurns = config.computerUseMaxSteps || 20;
     }
 
@@ -54,29 +108,47 @@ export class ComputerUseAgent {
     }
 
     /**
-     * Initialize browser with correct viewport
+     * Pixel coordinates an action targets, or null for actions without a position
      */
-    async init(taskId) {
+    getActionCoordinates(args) {
+        if (args.x === undefined || args.y === undefined) {
+            return null;
+        }
+
+        const coordinates = { x: this.denormalizeX(args.x), y: this.denormalizeY(args.y) };
+        if (args.destination_x !== undefined && args.destination_y !== undefined) {
+            coordinates.destination = {
+                x: this.denormalizeX(args.destination_x),
+                y: this.denormalizeY(args.destination_y),
+            };
+        }
+        return coordinates;
+    }
+
+    /**
+     * Initialize browser with correct viewport, sandboxed to the task's allowed domains
+     */
+    async init(taskId, parsedTask = null, runId = taskId) {
+        this.runId = runId;
         this.logger = createTaskLogger(taskId, 'ComputerUseAgent');
         this.logger.info('Initializing browser for Computer Use', {
-            model: 'gemini-2.5-computer-use-preview-10-2025',
+            model: COMPUTER_USE_MODEL,
             screenSize: `${SCREEN_WIDTH}x${SCREEN_HEIGHT}`
         });
 
-        this.browser = await chromium.launch({
-            headless: config.headless,
-            slowMo: config.debugMode ? 500 : 100,
-        });
-
-        this.context = await this.browser.newContext({
+        this.context = await getBrowserPool().acquireContext({
             viewport: { width: SCREEN_WIDTH, height: SCREEN_HEIGHT },
             userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         });
 
+        this.sandbox = new NavigationSandbox(parsedTask, taskId);
+        await this.sandbox.attach(this.context);
+
         this.page = await this.context.newPage();
         this.conversationHistory = [];
 
         // Navigate to initial page (Google)
+        await getPolitenessScheduler().acquire('https://www.google.com');
         await this.page.goto('https://www.google.com');
         await this.page.waitForLoadState('domcontentloaded');
 
@@ -87,10 +159,34 @@ export class ComputerUseAgent {
      * Capture screenshot as base64
      */
     async captureScreenshot() {
-        const buffer = await this.page.screenshot({ type: 'png' });
+        const { format, quality, scale } = this.contextPolicy;
+
+        // Playwright cannot downscale, so scaled captures go through CDP
+        if (scale < 1) {
+            const session = await this.context.newCDPSession(this.page);
+            try {
+                const { data } = await session.send('Page.captureScreenshot', {
+                    format,
+                    ...(quality !== null && { quality }),
+                    clip: { x: 0, y: 0, width: SCREEN_WIDTH, height: SCREEN_HEIGHT, scale },
+                });
+                return data;
+            } finally {
+                await session.detach().catch(() => null);
+            }
+        }
+
+        const buffer = await this.page.screenshot({ type: format, ...(quality !== null && { quality }) });
         return buffer.toString('base64');
     }
 
+    /**
+     * MIME type of the screenshots sent to the model
+     */
+    get screenshotMimeType() {
+        return `image/${this.contextPolicy.format}`;
+    }
+
     /**
      * Get current page URL
      */
@@ -101,29 +197,37 @@ export class ComputerUseAgent {
     /**
      * Main execution loop - implements the agent loop from documentation
      */
-    async executeTask(goal, taskId) {
-        await this.init(taskId);
-        this.logger.info('Starting Computer Use task', { goal });
+    async executeTask(goal, taskId, parsedTask = null, { trajectoryId = taskId } = {}) {
+        await this.init(taskId, parsedTask, trajectoryId);
+        this.logger.info('Starting Computer Use task', { goal, contextPolicy: this.contextPolicy });
 
         const extractedResults = [];
         let turn = 0;
+        let budgetExceeded = null;
+        const usageTracker = getUsageTracker();
+        const trajectory = new TrajectoryRecorder(trajectoryId, goal, {
+            model: COMPUTER_USE_MODEL,
+            viewport: { width: SCREEN_WIDTH, height: SCREEN_HEIGHT },
+            contextPolicy: this.contextPolicy,
+        });
+        const screenshotHistory = new ScreenshotHistory(this.contextPolicy.screenshot_history);
 
         try {
             // Capture initial screenshot
             const initialScreenshot = await this.captureScreenshot();
+            trajectory.setInitialScreenshot(await this.saveScreenshot('initial').catch(() => null));
 
             // Initialize conversation with user goal and initial screenshot
+            const initialPart = {
+                inlineData: {
+                    mimeType: this.screenshotMimeType,
+                    data: initialScreenshot
+                }
+            };
+            screenshotHistory.add(initialPart, summarizeScreenshot({ url: this.getCurrentUrl() }));
             this.conversationHistory = [{
                 role: 'user',
-                parts: [
-                    { text: goal },
-                    {
-                        inlineData: {
-                            mimeType: 'image/png',
-                            data: initialScreenshot
-                        }
-                    }
-                ]
+                parts: [{ text: goal }, initialPart]
             }];
 
             // Agent loop
@@ -131,11 +235,36 @@ export class ComputerUseAgent {
                 turn++;
                 this.logger.info(`--- Turn ${turn}/${this.maxTurns} ---`);
 
+                // Every turn resends the whole history, so older screenshots give way to summaries
+                const pruned = screenshotHistory.prune();
+                if (pruned > 0) {
+                    this.logger.debug('Pruned screenshots from conversation', {
+                        pruned,
+                        inline: screenshotHistory.inlineCount,
+                    });
+                }
+
+                const budget = usageTracker.checkBudget(taskId);
+                if (!budget.allowed) {
+                    this.logger.warn('Gemini budget exceeded, stopping', { turn, reason: budget.reason });
+                    budgetExceeded = budget.reason;
+                    break;
+                }
+
                 // 1. Send request to model with retry logic
+                const modelStart = Date.now();
                 const response = await this.generateContentWithRetry(this.conversationHistory);
+                const modelDuration = Date.now() - modelStart;
+                const usage = usageTracker.record(taskId, {
+                    component: 'computer_use',
+                    model: COMPUTER_USE_MODEL,
+                    turn,
+                    usageMetadata: response.response.usageMetadata,
+                });
 
                 const candidate = response.response.candidates[0];
                 const content = candidate.content;
+                const modelText = this.extractTextResponse(content);
 
                 // Add model response to history
                 this.conversationHistory.push(content);
@@ -145,15 +274,18 @@ export class ComputerUseAgent {
 
                 if (functionCalls.length === 0) {
                     // No function calls - model is done or providing text response
-                    const textResponse = this.extractTextResponse(content);
-                    this.logger.info('Model finished with text response', { text: textResponse?.substring(0, 200) });
-
-                    // Try to extract any data mentioned in the text response
-                    if (textResponse) {
-                        const parsedData = this.parseTextForProducts(textResponse);
-                        if (parsedData.length > 0) {
-                            extractedResults.push(...parsedData);
-                        }
+                    trajectory.recordStep({
+                        turn,
+                        model_text: modelText,
+                        model_duration_ms: modelDuration,
+                        usage,
+                        url: this.getCurrentUrl(),
+                    });
+                    this.logger.info('Model finished with text response', { text: modelText?.substring(0, 200) });
+
+                    // Fall back to the JSON answer the goal asks for, if the model wrote it as text
+                    if (modelText) {
+                        extractedResults.push(...this.parseTextForProducts(modelText));
                     }
                     break;
                 }
@@ -161,34 +293,79 @@ export class ComputerUseAgent {
                 // 3. Execute each function call
                 this.logger.info(`Executing ${functionCalls.length} action(s)`);
                 const functionResponses = [];
+                let reported = false;
 
-                for (const fc of functionCalls) {
+                for (const [callIndex, fc] of functionCalls.entries()) {
                     const fname = fc.name;
                     const args = fc.args || {};
+                    const actionStart = Date.now();
+                    let actionError = null;
+
+                    // The final answer is validated, not executed in the browser
+                    if (fname === REPORT_RESULTS_FUNCTION) {
+                        const report = this.parseReportedResults(args);
+                        trajectory.recordStep({
+                            turn,
+                            model_text: callIndex === 0 ? modelText : null,
+                            model_duration_ms: callIndex === 0 ? modelDuration : null,
+                            usage: callIndex === 0 ? usage : null,
+                            action: fname,
+                            args,
+                            url: this.getCurrentUrl(),
+                            duration_ms: Date.now() - actionStart,
+                            error: report.valid ? null : report.errors.join('; '),
+                        });
 
-                    // Check for safety decision
-                    if (args.safety_decision?.decision === 'require_confirmation') {
-                        this.logger.warn('Safety confirmation required', {
-                            explanation: args.safety_decision.explanation
+                        if (report.valid) {
+                            this.logger.info('Model reported results', { count: report.results.length });
+                            // Evidence is the page the model read the prices from
+                            const screenshotPath = trajectory.lastScreenshotPath;
+                            extractedResults.unshift(...report.results.map(result => ({ ...result, screenshot_path: screenshotPath })));
+                            reported = true;
+                        } else {
+                            this.logger.warn('Invalid report_results payload', { errors: report.errors });
+                        }
+
+                        functionResponses.push({
+                            functionResponse: {
+                                name: fname,
+                                response: report.valid
+                                    ? { accepted: report.results.length }
+                                    : { error: `Invalid results, fix them and call ${fname} again: ${report.errors.join('; ')}` },
+                            },
                         });
-                        // In production, would prompt user here
-                        // For now, we'll skip the action
                         continue;
                     }
 
-                    this.logger.info(`Executing: ${fname}`, { args });
+                    // Actions flagged by the safety service wait for a user decision
+                    let confirmation = null;
+                    if (args.safety_decision?.decision === 'require_confirmation') {
+                        confirmation = await this.requestConfirmation(taskId, turn, fname, args);
+                    }
+                    const denied = confirmation?.status === ConfirmationStatus.DENIED;
+
+                    if (!denied) {
+                        this.logger.info(`Executing: ${fname}`, { args });
 
-                    try {
-                        await this.executeAction(fname, args);
+                        try {
+                            await this.executeAction(fname, args);
 
-                        // Wait for page to stabilize
-                        await this.page.waitForLoadState('domcontentloaded', { timeout: 10000 }).catch(() => { });
-                        await this.page.waitForTimeout(1000);
+                            // Wait for page to stabilize
+                            await this.page.waitForLoadState('domcontentloaded', { timeout: 10000 }).catch(() => { });
+                            await this.page.waitForTimeout(1000);
 
-                    } catch (error) {
-                        this.logger.error(`Error executing ${fname}`, { error: error.message });
+                        } catch (error) {
+                            this.logger.error(`Error executing ${fname}`, { error: error.message });
+                            actionError = error.message;
+                        }
                     }
 
+                    // Navigations the sandbox refused, from this action or a click/redirect it caused
+                    await this.sandbox.enforce(this.page).catch(error => {
+                        this.logger.error('Failed to leave page outside sandbox', { error: error.message });
+                    });
+                    const refusals = this.sandbox.takeRefusals();
+
                     // 4. Capture new state after action
                     const screenshot = await this.captureScreenshot();
                     const currentUrl = this.getCurrentUrl();
@@ -196,22 +373,63 @@ export class ComputerUseAgent {
                     // Save screenshot as evidence
                     const screenshotPath = await this.saveScreenshot(`action_${turn}_${fname}`);
 
-                    functionResponses.push({
+                    const { safety_decision: safetyDecision, ...actionArgs } = args;
+                    trajectory.recordStep({
+                        turn,
+                        // Text and latency belong to the turn, recorded once with its first action
+                        model_text: callIndex === 0 ? modelText : null,
+                        model_duration_ms: callIndex === 0 ? modelDuration : null,
+                        usage: callIndex === 0 ? usage : null,
+                        action: fname,
+                        args: actionArgs,
+                        coordinates: this.getActionCoordinates(args),
+                        url: currentUrl,
+                        screenshot_path: screenshotPath,
+                        duration_ms: Date.now() - actionStart,
+                        error: actionError || (denied ? this.formatDenial(confirmation) : null),
+                        refusals,
+                        confirmation: confirmation && {
+                            id: confirmation.id,
+                            explanation: safetyDecision?.explanation,
+                            status: confirmation.status,
+                            decided_by: confirmation.decided_by,
+                        },
+                    });
+
+                    logTaskEvent(taskId, 'computer_use_action', {
+                        turn,
+                        maxTurns: this.maxTurns,
+                        action: fname,
+                        url: currentUrl,
+                        refused: refusals.length > 0,
+                    });
+
+                    const functionResponse = {
                         functionResponse: {
                             name: fname,
                             response: {
                                 url: currentUrl,
                                 screenshot_path: screenshotPath,
+                                ...(confirmation && !denied && { safety_acknowledgement: 'true' }),
+                                ...(denied && { error: this.formatDenial(confirmation) }),
+                                ...(refusals.length > 0 && { error: this.sandbox.formatRefusal(refusals) }),
                             }
                         },
                         inlineData: {
-                            mimeType: 'image/png',
+                            mimeType: this.screenshotMimeType,
                             data: screenshot
                         }
-                    });
+                    };
+                    functionResponses.push(functionResponse);
 
                     // Try to extract visible product data from current page
                     const pageData = await this.extractVisibleProducts();
+                    screenshotHistory.add(functionResponse, summarizeScreenshot({
+                        turn,
+                        action: fname,
+                        url: currentUrl,
+                        products: pageData,
+                    }));
                     if (pageData.length > 0) {
                         extractedResults.push(...pageData.map(p => ({
                             ...p,
@@ -225,12 +443,26 @@ export class ComputerUseAgent {
                 if (functionResponses.length > 0) {
                     this.conversationHistory.push({
                         role: 'user',
-                        parts: functionResponses.map(fr => ({
-                            functionResponse: fr.functionResponse,
-                            inlineData: fr.inlineData
-                        }))
+                        parts: functionResponses
                     });
                 }
+
+                if (reported) {
+                    break;
+                }
+            }
+
+            const results = this.deduplicateResults(extractedResults);
+
+            if (budgetExceeded) {
+                trajectory.finish({ success: false, resultCount: results.length, error: budgetExceeded });
+                return {
+                    success: false,
+                    error: budgetExceeded,
+                    budgetExceeded: true,
+                    results,
+                    turns: turn,
+                };
             }
 
             this.logger.info('Computer Use task completed', {
@@ -238,14 +470,17 @@ export class ComputerUseAgent {
                 resultsCount: extractedResults.length
             });
 
+            trajectory.finish({ success: true, resultCount: results.length });
+
             return {
                 success: true,
-                results: this.deduplicateResults(extractedResults),
+                results,
                 turns: turn,
             };
 
         } catch (error) {
             this.logger.error('Computer Use task failed', { error: error.message });
+            trajectory.finish({ success: false, resultCount: extractedResults.length, error: error.message });
             return {
                 success: false,
                 error: error.message,
@@ -257,6 +492,48 @@ export class ComputerUseAgent {
         }
     }
 
+    /**
+     * Pause for a user decision on an action the model flagged for
+     * confirmation. Resolves with the decided confirmation record.
+     */
+    async requestConfirmation(taskId, turn, fname, args) {
+        const { safety_decision: safetyDecision, ...actionArgs } = args;
+        this.logger.warn('Safety confirmation required', {
+            action: fname,
+            explanation: safetyDecision.explanation,
+        });
+
+        const screenshotPath = await this.saveScreenshot(`confirm_${turn}_${fname}`).catch(() => null);
+        const coordinates = this.getActionCoordinates(args);
+
+        const confirmation = await getConfirmationManager().request(taskId, {
+            action: fname,
+            args: actionArgs,
+            explanation: safetyDecision.explanation,
+            url: this.getCurrentUrl(),
+            screenshotPath,
+            coordinates,
+            turn,
+        });
+
+        this.logger.info('Safety confirmation decided', {
+            action: fname,
+            status: confirmation.status,
+            decidedBy: confirmation.decided_by,
+        });
+        return confirmation;
+    }
+
+    /**
+     * Message telling the model a flagged action was not performed
+     */
+    formatDenial(confirmation) {
+        const reason = confirmation.decided_by === 'timeout'
+            ? 'nobody confirmed it in time'
+            : `the user denied it${confirmation.note ? `: ${confirmation.note}` : ''}`;
+        return `Action not performed because ${reason}. Do not retry it; continue another way or report what you found.`;
+    }
+
     /**
      * Extract function calls from model response
      */
@@ -311,9 +588,21 @@ export class ComputerUseAgent {
                 await this.page.goto('https://www.google.com');
                 break;
 
-            case 'navigate':
-                await this.page.goto(args.url, { timeout: 30000 });
+            case 'navigate': {
+                const verdict = this.sandbox.check(args.url);
+                const policy = verdict.allowed ? await getSitePolicy().check(args.url) : verdict;
+                if (!policy.allowed) {
+                    this.sandbox.refuse(args.url, policy.reason);
+                    break;
+                }
+
+                await getPolitenessScheduler().acquire(args.url);
+                const response = await this.page.goto(args.url, { timeout: 30000 });
+                if (response) {
+                    getPolitenessScheduler().report(args.url, response.status(), response.headers()['retry-after']);
+                }
                 break;
+            }
 
             case 'click_at':
                 const clickX = this.denormalizeX(args.x);
@@ -466,24 +755,64 @@ export class ComputerUseAgent {
     }
 
     /**
-     * Parse text response for product data
+     * Validate the model's final answer against ReportResultsSchema.
+     * Returns { valid, results, errors }; results are tagged with the extraction method.
+     */
+    parseReportedResults(payload, method = 'computer_use_report') {
+        const normalized = {
+            ...payload,
+            results: Array.isArray(payload?.results)
+                ? payload.results.map(result => {
+                    // Anything that does not parse is left as sent, for validation to report
+                    const price = typeof result?.price === 'string' ? parsePrice(result.price) : null;
+                    const currency = typeof result?.currency === 'string' ? normalizeCurrency(result.currency) : null;
+                    return {
+                        ...result,
+                        currency: currency ?? price?.currency ?? result?.currency,
+                        price: price?.amount ?? result?.price,
+                    };
+                })
+                : payload?.results,
+        };
+
+        const validation = validateSchema(ReportResultsSchema, normalized);
+        if (!validation.valid) {
+            return { valid: false, results: [], errors: validation.errors };
+        }
+
+        return {
+            valid: true,
+            results: validation.data.results.map(result => ({ ...result, extraction_method: method })),
+            errors: [],
+        };
+    }
+
+    /**
+     * Parse the JSON answer from a text response (bare or in a code block).
+     * Text without a valid answer yields no products.
      */
     parseTextForProducts(text) {
-        const products = [];
-        // Try to extract structured data from model's text response
-        const priceMatches = text.matchAll(/([^,\n]+?)\s*[-–:]\s*€?\s*([\d,.]+)\s*€?\s*(?:[-–]\s*([^,\n]+))?/g);
-
-        for (const match of priceMatches) {
-            products.push({
-                product_name: match[1]?.trim() || 'Unknown',
-                price: parseFloat(match[2].replace(',', '.')),
-                currency: 'EUR',
-                store_name: match[3]?.trim() || 'Unknown Store',
-                availability: 'in_stock',
-            });
+        const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+        const candidate = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+        if (!candidate.trim()) {
+            this.logger.warn('Text response has no JSON answer');
+            return [];
         }
 
-        return products;
+        let payload;
+        try {
+            payload = JSON.parse(candidate);
+        } catch (error) {
+            this.logger.warn('Text response JSON could not be parsed', { error: error.message });
+            return [];
+        }
+
+        const report = this.parseReportedResults(Array.isArray(payload) ? { results: payload } : payload, 'computer_use_text');
+        if (!report.valid) {
+            this.logger.warn('Text response JSON failed validation', { errors: report.errors });
+            return [];
+        }
+        return report.results;
     }
 
     /**
@@ -500,20 +829,21 @@ export class ComputerUseAgent {
     }
 
     /**
-     * Save screenshot to file
+     * Save screenshot to file, prefixed with the run id (the task id, plus
+     * the product for comparisons) so the task registry can find it
      */
     async saveScreenshot(name) {
-        const filename = `${name}_${Date.now()}.png`;
+        const filename = `${this.runId}_${name}_${Date.now()}.png`;
         const filepath = path.join(config.screenshotsDir, filename);
         await this.page.screenshot({ path: filepath });
         return filepath;
     }
 
     /**
-     * Cleanup browser resources
+     * Release the browser context back to the pool
      */
     async cleanup() {
-        if (this.browser) {
+        if (this.context) {
             // If running with UI (not headless), wait a bit before closing
             // so the user can see what happened/debug errors
             if (config.headless === false) {
@@ -521,10 +851,10 @@ export class ComputerUseAgent {
                 await new Promise(resolve => setTimeout(resolve, 10000));
             }
 
-            await this.browser.close();
-            this.browser = null;
+            await getBrowserPool().releaseContext(this.context);
             this.context = null;
             this.page = null;
+            this.sandbox = null;
         }
     }
     /**
@@ -557,7 +887,7 @@ export class ComputerUseAgent {
  * Mock Computer Use Agent for dry-run mode
  */
 export class MockComputerUseAgent {
-    async executeTask(goal, taskId) {
+    async executeTask(goal, taskId, parsedTask = null) {
         const logger = createTaskLogger(taskId, 'MockComputerUseAgent');
         logger.info('Mock Computer Use execution', { goal });
 
@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config.js';
+import { createTaskLogger, logTaskEvent } from '../logger.js';
+import { ConfirmationStatus } from '../schemas.js';
+
+/**
+ * Confirmation Manager - pauses Computer Use actions the model flags as
+ * needing confirmation until a user approves or denies them. Unanswered
+ * requests are denied after the confirmation timeout. Every request and
+ * decision is appended to an audit log.
+ */
+export class ConfirmationManager {
+    constructor(filepath = path.join(config.dataDir, 'confirmations.jsonl')) {
+        this.filepath = filepath;
+        this.confirmations = new Map();
+        // Confirmation id -> { resolve, timer } for requests still waiting
+        this.waiting = new Map();
+        this.logger = createTaskLogger('confirmations', 'ConfirmationManager');
+        this.load();
+    }
+
+    /**
+     * Rebuild confirmations from the audit log. Requests left pending by a
+     * restart can no longer be answered, so they count as denied.
+     */
+    load() {
+        if (!fs.existsSync(this.filepath)) {
+            return;
+        }
+
+        const content = fs.readFileSync(this.filepath, 'utf-8');
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const { event, ...record } = JSON.parse(line);
+                this.confirmations.set(record.id, { ...this.confirmations.get(record.id), ...record });
+            } catch {
+                // Skip partial lines
+            }
+        }
+
+        for (const record of this.confirmations.values()) {
+            if (record.status === ConfirmationStatus.PENDING) {
+                Object.assign(record, { status: ConfirmationStatus.DENIED, decided_by: 'restart' });
+            }
+        }
+    }
+
+    /**
+     * Append an event to the audit log
+     */
+    audit(event, record) {
+        try {
+            fs.appendFileSync(this.filepath, JSON.stringify({ event, ...record }) + '\n', 'utf-8');
+        } catch (error) {
+            this.logger.error('Failed to write confirmation audit log', { error: error.message });
+        }
+    }
+
+    /**
+     * Ask for confirmation of an action and wait for the decision.
+     * Resolves with the decided confirmation record.
+     */
+    request(taskId, { action, args, explanation, url, screenshotPath, coordinates, turn }) {
+        const now = Date.now();
+        const record = {
+            id: uuidv4(),
+            task_id: taskId,
+            status: ConfirmationStatus.PENDING,
+            action,
+            args,
+            explanation,
+            url,
+            coordinates,
+            turn,
+            screenshot_path: screenshotPath,
+            screenshot_url: screenshotPath ? `/screenshots/${path.basename(screenshotPath)}` : null,
+            requested_at: new Date(now).toISOString(),
+            expires_at: new Date(now + config.confirmationTimeout).toISOString(),
+            decided_at: null,
+            decided_by: null,
+            note: null,
+        };
+
+        this.confirmations.set(record.id, record);
+        this.audit('requested', record);
+        logTaskEvent(taskId, 'confirmation_required', this.toEvent(record));
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.resolve(record.id, ConfirmationStatus.DENIED, 'timeout', 'No decision before the confirmation timeout');
+            }, config.confirmationTimeout);
+            this.waiting.set(record.id, { resolve, timer });
+        });
+    }
+
+    /**
+     * Record a decision and release the waiting agent
+     */
+    resolve(id, status, decidedBy, note = null) {
+        const record = this.confirmations.get(id);
+        const waiter = this.waiting.get(id);
+        if (!record || record.status !== ConfirmationStatus.PENDING || !waiter) {
+            return null;
+        }
+
+        clearTimeout(waiter.timer);
+        this.waiting.delete(id);
+
+        Object.assign(record, {
+            status,
+            decided_at: new Date().toISOString(),
+            decided_by: decidedBy,
+            note,
+        });
+
+        this.audit('decided', record);
+        this.logger.info('Confirmation decided', { id, taskId: record.task_id, action: record.action, status, decidedBy });
+        logTaskEvent(record.task_id, 'confirmation_resolved', {
+            confirmation_id: id,
+            status,
+            decided_by: decidedBy,
+        });
+
+        waiter.resolve(record);
+        return record;
+    }
+
+    /**
+     * Approve or deny a pending confirmation on behalf of the user.
+     * Returns null when the confirmation is unknown or already decided.
+     */
+    decide(id, approved, note = null) {
+        return this.resolve(id, approved ? ConfirmationStatus.APPROVED : ConfirmationStatus.DENIED, 'user', note);
+    }
+
+    /**
+     * Get a confirmation by id
+     */
+    get(id) {
+        return this.confirmations.get(id) || null;
+    }
+
+    /**
+     * List confirmations, newest first
+     */
+    list({ taskId = null, status = null } = {}) {
+        return Array.from(this.confirmations.values())
+            .filter(record => !taskId || record.task_id === taskId)
+            .filter(record => !status || record.status === status)
+            .sort((a, b) => b.requested_at.localeCompare(a.requested_at));
+    }
+
+    /**
+     * Event payload for a pending confirmation
+     */
+    toEvent(record) {
+        return {
+            confirmation_id: record.id,
+            action: record.action,
+            explanation: record.explanation,
+            url: record.url,
+            coordinates: record.coordinates,
+            screenshot_url: record.screenshot_url,
+            expires_at: record.expires_at,
+        };
+    }
+}
+
+// Singleton instance
+let managerInstance = null;
+
+export function getConfirmationManager() {
+    if (!managerInstance) {
+        managerInstance = new ConfirmationManager();
+    }
+    return managerInstance;
+}
+
+export default { ConfirmationManager, getConfirmationManager };
@@ -1,7 +1,7 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import config from '../config.js';
 import { createTaskLogger } from '../logger.js';
-import { ParsedTaskSchema, validateSchema } from '../schemas.js';
+import { MAX_COMPARED_PRODUCTS, ParsedTaskSchema, TaskType, validateSchema } from '../schemas.js';
+import { getUsageTracker } from './usage-tracker.js';
+import { createLLMProvider } from './llm-providers.js';
 import {
     normalizeBrand,
     normalizeColor,
@@ -25,7 +25,7 @@ CRITICAL RULES:
 
 OUTPUT SCHEMA:
 {
-  "task_type": "price_monitoring",
+  "task_type": "price_monitoring" | "restock_monitoring",
   "product": {
     "brand": string | null,      // e.g., "Nike", "Adidas", "Patagonia"
     "model": string | null,      // e.g., "Air Force 1", "Samba", "Down Sweater"
@@ -33,14 +33,17 @@ OUTPUT SCHEMA:
     "color": string | null,      // e.g., "black", "white", "navy"
     "gender": string | null      // "men", "women", "unisex", "kids"
   },
+  "products": [ { same fields as product } ] | null,  // every product when the user compares several, else null
   "constraints": {
     "max_price": number | null,  // Price threshold (just the number)
     "currency": string | null,   // ISO code: "EUR", "USD", "GBP"
-    "size": string | null        // e.g., "M", "42", "10.5"
+    "size": string | null,       // e.g., "M", "42", "10.5"
+    "min_discount_percent": number | null  // Minimum discount off the original price (just the number)
   },
   "sources": {
-    "mode": "google" | "specific_sites",
-    "sites": string[] | null     // e.g., ["zalando", "farfetch"], null for google mode
+    "mode": "google" | "specific_sites" | "direct_url",
+    "sites": string[] | null,    // e.g., ["zalando", "farfetch"], null for google mode
+    "url": string | null         // full URL when the user gives one (direct_url mode)
   },
   "search_strategy": "google" | "site_internal" | null,
   "confidence": number           // 0.0 to 1.0, how confident you are in the parsing
@@ -51,35 +54,41 @@ PARSING GUIDELINES:
 - Extract model from specific product names like "Samba", "Air Force 1"
 - If user says "on Google" or "search online", use mode: "google"
 - If user mentions specific sites like "on Zalando" or "Farfetch", use mode: "specific_sites"
+- If user gives a URL, use mode: "direct_url", put the URL in sources.url and its site name in sources.sites
 - Parse prices like "under 90€" as max_price: 90, currency: "EUR"
+- Use task_type "restock_monitoring" when the user wants to know when a sold-out product is back in stock ("let me know when X is back in stock", "tell me when size 42 is available again"); otherwise use "price_monitoring"
+- Parse discounts like "at least 30% off" or "on sale for 30% or more" as min_discount_percent: 30
 - Infer category from context (sneakers, jacket, etc.)
+- If the user asks for several products at once ("compare X and Y", "X vs Y", "X or Y, whichever is cheaper"), list each of them in products (up to ${MAX_COMPARED_PRODUCTS}), repeat shared details like brand or color in every entry, and set product to the first one; constraints and sources apply to all of them
 - Set confidence based on how clear and complete the request is
 
 EXAMPLES:
 Input: "Let me know if Adidas Samba black drop below 90€ on Zara or Farfetch"
-Output: {"task_type":"price_monitoring","product":{"brand":"Adidas","model":"Samba","category":"sneakers","color":"black","gender":null},"constraints":{"max_price":90,"currency":"EUR","size":null},"sources":{"mode":"specific_sites","sites":["zara","farfetch"]},"search_strategy":"site_internal","confidence":0.95}
+Output: {"task_type":"price_monitoring","product":{"brand":"Adidas","model":"Samba","category":"sneakers","color":"black","gender":null},"constraints":{"max_price":90,"currency":"EUR","size":null,"min_discount_percent":null},"sources":{"mode":"specific_sites","sites":["zara","farfetch"]},"search_strategy":"site_internal","confidence":0.95}
 
 Input: "Check if Nike Air Force 1 white are under 110€ by searching on Google"
-Output: {"task_type":"price_monitoring","product":{"brand":"Nike","model":"Air Force 1","category":"sneakers","color":"white","gender":null},"constraints":{"max_price":110,"currency":"EUR","size":null},"sources":{"mode":"google","sites":null},"search_strategy":"google","confidence":0.92}
+Output: {"task_type":"price_monitoring","product":{"brand":"Nike","model":"Air Force 1","category":"sneakers","color":"white","gender":null},"constraints":{"max_price":110,"currency":"EUR","size":null,"min_discount_percent":null},"sources":{"mode":"google","sites":null},"search_strategy":"google","confidence":0.92}
 
 Input: "Find Patagonia Down Sweater jacket men size M under 250€ online"
-Output: {"task_type":"price_monitoring","product":{"brand":"Patagonia","model":"Down Sweater","category":"jacket","color":null,"gender":"men"},"constraints":{"max_price":250,"currency":"EUR","size":"M"},"sources":{"mode":"google","sites":null},"search_strategy":"google","confidence":0.88}`;
+Output: {"task_type":"price_monitoring","product":{"brand":"Patagonia","model":"Down Sweater","category":"jacket","color":null,"gender":"men"},"constraints":{"max_price":250,"currency":"EUR","size":"M","min_discount_percent":null},"sources":{"mode":"google","sites":null},"search_strategy":"google","confidence":0.88}
+
+Input: "Tell me when New Balance 550 on Zalando are at least 30% off"
+Output: {"task_type":"price_monitoring","product":{"brand":"New Balance","model":"550","category":"sneakers","color":null,"gender":null},"constraints":{"max_price":null,"currency":"EUR","size":null,"min_discount_percent":30},"sources":{"mode":"specific_sites","sites":["zalando"]},"search_strategy":"site_internal","confidence":0.9}
+
+Input: "Let me know when the Nike Dunk Low white size 42 is back in stock on Zalando"
+Output: {"task_type":"restock_monitoring","product":{"brand":"Nike","model":"Dunk Low","category":"sneakers","color":"white","gender":null},"constraints":{"max_price":null,"currency":"EUR","size":"42","min_discount_percent":null},"sources":{"mode":"specific_sites","sites":["zalando"]},"search_strategy":"site_internal","confidence":0.93}
+
+Input: "Compare Adidas Samba and Gazelle in black under 100€ on Zalando"
+Output: {"task_type":"price_monitoring","product":{"brand":"Adidas","model":"Samba","category":"sneakers","color":"black","gender":null},"products":[{"brand":"Adidas","model":"Samba","category":"sneakers","color":"black","gender":null},{"brand":"Adidas","model":"Gazelle","category":"sneakers","color":"black","gender":null}],"constraints":{"max_price":100,"currency":"EUR","size":null,"min_discount_percent":null},"sources":{"mode":"specific_sites","sites":["zalando"]},"search_strategy":"site_internal","confidence":0.92}`;
 
 /**
- * IntentParser class - transforms natural language to structured tasks using Google Gemini
+ * IntentParser class - transforms natural language to structured tasks
+ * using the configured LLM provider (Gemini, OpenAI-compatible or mock).
+ * Every provider's answer goes through the same normalization and validation.
  */
 export class IntentParser {
-    constructor() {
-        const genAI = new GoogleGenerativeAI(config.geminiApiKey);
-        // Use Gemini 2.0 Flash or the computer use preview model
-        this.model = genAI.getGenerativeModel({
-            model: config.geminiModel || 'gemini-2.0-flash',
-            generationConfig: {
-                temperature: 0.1,
-                maxOutputTokens: 1000,
-                responseMimeType: 'application/json',
-            },
-        });
+    constructor(provider = createLLMProvider()) {
+        this.provider = provider;
         this.logger = createTaskLogger('intent-parser', 'IntentParser');
     }
 
@@ -89,25 +98,48 @@ export class IntentParser {
     async parse(userInput, taskId) {
         const logger = createTaskLogger(taskId, 'IntentParser');
 
-        logger.info('Starting intent parsing with Gemini', { inputLength: userInput.length });
+        logger.info('Starting intent parsing', {
+            provider: this.provider.name,
+            model: this.provider.model,
+            inputLength: userInput.length,
+        });
 
-        try {
-            // Build the prompt with system instructions and user input
-            const prompt = `${SYSTEM_PROMPT}
+        // Budgets only apply to providers that call a model
+        const usageTracker = getUsageTracker();
+        const budget = this.provider.metered ? usageTracker.checkBudget(taskId) : { allowed: true };
+        if (!budget.allowed) {
+            logger.warn('LLM budget exceeded, not parsing', { reason: budget.reason });
+            return {
+                success: false,
+                error: budget.reason,
+                budgetExceeded: true,
+                parsedTask: null,
+            };
+        }
 
-Now parse this user request and output ONLY valid JSON:
+        try {
+            // Build the prompt with the user input
+            const prompt = `Now parse this user request and output ONLY valid JSON:
 "${userInput}"`;
 
-            // Call Gemini API
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const content = response.text();
+            const { text: content, usage } = await this.provider.complete({
+                system: SYSTEM_PROMPT,
+                prompt,
+                input: userInput,
+            });
+            if (this.provider.metered) {
+                usageTracker.record(taskId, {
+                    component: 'intent_parser',
+                    model: this.provider.model,
+                    usageMetadata: usage,
+                });
+            }
 
             if (!content) {
-                throw new Error('Empty response from Gemini');
+                throw new Error(`Empty response from ${this.provider.name}`);
             }
 
-            logger.debug('Raw Gemini response', { content });
+            logger.debug('Raw provider response', { provider: this.provider.name, content });
 
             // Parse JSON - handle potential markdown code blocks
             let jsonContent = content.trim();
@@ -121,7 +153,7 @@ Now parse this user request and output ONLY valid JSON:
             try {
                 parsed = JSON.parse(jsonContent);
             } catch (e) {
-                throw new Error(`Invalid JSON from Gemini: ${e.message}`);
+                throw new Error(`Invalid JSON from ${this.provider.name}: ${e.message}`);
             }
 
             // Normalize values
@@ -139,6 +171,7 @@ Now parse this user request and output ONLY valid JSON:
                 confidence: normalized.confidence,
                 brand: normalized.product.brand,
                 model: normalized.product.model,
+                comparedProducts: normalized.products?.length || 0,
             });
 
             return {
@@ -158,29 +191,54 @@ Now parse this user request and output ONLY valid JSON:
         }
     }
 
+    /**
+     * Normalize a parsed product. Fields left out fall back to the
+     * defaults (the first product, for compared products).
+     */
+    normalizeProduct(product, defaults = {}) {
+        return {
+            brand: normalizeBrand(product?.brand) || defaults.brand || null,
+            model: product?.model || null,
+            category: product?.category || defaults.category || null,
+            color: normalizeColor(product?.color) || defaults.color || null,
+            gender: normalizeGender(product?.gender) || defaults.gender || null,
+        };
+    }
+
     /**
      * Normalize parsed result values
      */
     normalizeResult(parsed) {
+        const listed = Array.isArray(parsed.products) ? parsed.products : [];
+        const product = this.normalizeProduct(parsed.product || listed[0]);
+
+        // A comparison needs at least two distinct products; the same model
+        // in two colors (or for two audiences) counts as two
+        const productKey = entry => [entry.brand, entry.model, entry.color, entry.gender].join('|').toLowerCase();
+        const products = listed.slice(0, MAX_COMPARED_PRODUCTS)
+            .map(entry => this.normalizeProduct(entry, product))
+            .filter((entry, index, all) => all.findIndex(other => productKey(other) === productKey(entry)) === index);
+
         return {
-            task_type: parsed.task_type || 'price_monitoring',
-            product: {
-                brand: normalizeBrand(parsed.product?.brand),
-                model: parsed.product?.model || null,
-                category: parsed.product?.category || null,
-                color: normalizeColor(parsed.product?.color),
-                gender: normalizeGender(parsed.product?.gender),
-            },
+            task_type: Object.values(TaskType).includes(parsed.task_type)
+                ? parsed.task_type
+                : TaskType.PRICE_MONITORING,
+            product: products.length > 1 ? products[0] : product,
+            products: products.length > 1 ? products : null,
             constraints: {
                 max_price: typeof parsed.constraints?.max_price === 'number'
                     ? parsed.constraints.max_price
                     : null,
                 currency: normalizeCurrency(parsed.constraints?.currency) || 'EUR',
                 size: normalizeSize(parsed.constraints?.size),
+                min_discount_percent: typeof parsed.constraints?.min_discount_percent === 'number'
+                    ? parsed.constraints.min_discount_percent
+                    : null,
             },
             sources: {
                 mode: parsed.sources?.mode || 'google',
                 sites: parsed.sources?.sites?.map(s => extractSiteName(s)) || null,
+                url: parsed.sources?.url || null,
             },
             search_strategy: parsed.search_strategy || null,
             confidence: typeof parsed.confidence === 'number'
@@ -197,7 +255,7 @@ Now parse this user request and output ONLY valid JSON:
         const questions = [];
 
         // Check what's missing
-        if (!parsedTask.product.brand && !parsedTask.product.model) {
+        if ((parsedTask.products || [parsedTask.product]).some(product => !product.brand && !product.model)) {
             questions.push('What brand or specific product are you looking for?');
         }
 
@@ -220,151 +278,11 @@ Now parse this user request and output ONLY valid JSON:
     }
 }
 
-/**
- * Mock intent parser for dry-run mode
- */
-export class MockIntentParser {
-    async parse(userInput, taskId) {
-        const logger = createTaskLogger(taskId, 'MockIntentParser');
-        logger.info('Mock parsing (dry-run mode)', { inputLength: userInput.length });
-
-        // Simple regex-based parsing for testing
-        const brand = this.extractPattern(userInput,
-            /(nnormal|nike|adidas|puma|patagonia|zara|h&m|new balance|converse|vans)/i);
-        const color = this.extractPattern(userInput,
-            /(black|white|red|blue|green|grey|gray|navy|pink|brown|negro|blanco|azul)/i);
-        const priceMatch = userInput.match(/(\d+)\s*€|€\s*(\d+)|under\s+(\d+)|debajo de\s+(\d+)|por debajo de\s+(\d+)/i);
-        const price = priceMatch ? parseInt(priceMatch[1] || priceMatch[2] || priceMatch[3] || priceMatch[4] || priceMatch[5]) : null;
-
-        const hasGoogle = /google|online|internet|search/i.test(userInput);
-        const siteMatches = userInput.match(/(zalando|farfetch|asos|zara|h&m|sportsshoes|nnormal\.com)/gi);
-
-        // Detect direct URLs in the input
-        const urlMatch = userInput.match(/https?:\/\/(?:www\.)?([a-zA-Z0-9-]+(?:\.[a-zA-Z]{2,})+)/i);
-        const directUrl = urlMatch ? urlMatch[0] : null;
-        const directSite = urlMatch ? urlMatch[1].replace(/\.[^.]+$/, '') : null; // Extract domain name
-
-        const parsedTask = {
-            task_type: 'price_monitoring',
-            product: {
-                brand: normalizeBrand(brand),
-                model: this.extractModel(userInput),
-                category: this.extractCategory(userInput),
-                color: normalizeColor(color),
-                gender: this.extractGender(userInput),
-            },
-            constraints: {
-                max_price: price,
-                currency: 'EUR',
-                size: this.extractSize(userInput),
-            },
-            sources: {
-                mode: directUrl ? 'direct_url' : (siteMatches && siteMatches.length > 0 ? 'specific_sites' : 'google'),
-                sites: directUrl ? [directSite] : (siteMatches ? siteMatches.map(s => s.toLowerCase()) : null),
-                url: directUrl, // Store the full URL for direct navigation
-            },
-            search_strategy: hasGoogle ? 'google' : 'site_internal',
-            confidence: brand ? 0.75 : 0.5,
-        };
-
-        logger.info('Mock parsing complete', {
-            brand: parsedTask.product.brand,
-            confidence: parsedTask.confidence
-        });
-
-        return {
-            success: true,
-            parsedTask,
-            rawResponse: JSON.stringify(parsedTask),
-        };
-    }
-
-    extractPattern(text, regex) {
-        const match = text.match(regex);
-        return match ? match[1] : null;
-    }
-
-    extractModel(text) {
-        // Common model patterns - including NNORMAL models
-        const models = [
-            // NNORMAL models
-            'Tomir 02 Gore-Tex', 'Tomir 02 GTX', 'Tomir 02', 'Tomir',
-            'Kjerag 02', 'Kjerag Brut', 'Kjerag',
-            'Kboix 01', 'Kboix',
-            // Nike models
-            'Air Force 1', 'Air Max', 'Air Jordan', 'Dunk', 'Blazer',
-            // Adidas models
-            'Samba', 'Stan Smith', 'Superstar', 'Gazelle', 'Ultraboost',
-            // Outdoor brands
-            'Down Sweater', 'Nano Puff', 'Nuptse', '574', '990', '550',
-        ];
-
-        for (const model of models) {
-            if (text.toLowerCase().includes(model.toLowerCase())) {
-                return model;
-            }
-        }
-        return null;
-    }
-
-    extractCategory(text) {
-        const categories = {
-            'sneakers': ['sneaker', 'shoe', 'trainer', 'kick'],
-            'jacket': ['jacket', 'coat', 'puffer', 'down'],
-            't-shirt': ['t-shirt', 'tee', 'shirt'],
-            'hoodie': ['hoodie', 'sweatshirt', 'sweater'],
-            'jeans': ['jeans', 'denim'],
-            'dress': ['dress'],
-            'pants': ['pants', 'trousers'],
-        };
-
-        const lowerText = text.toLowerCase();
-        for (const [category, keywords] of Object.entries(categories)) {
-            if (keywords.some(kw => lowerText.includes(kw))) {
-                return category;
-            }
-        }
-        return null;
-    }
-
-    extractGender(text) {
-        const lowerText = text.toLowerCase();
-        if (/\b(men|man|male|mens|men's)\b/.test(lowerText)) return 'men';
-        if (/\b(women|woman|female|womens|women's)\b/.test(lowerText)) return 'women';
-        if (/\b(kid|kids|children|child)\b/.test(lowerText)) return 'kids';
-        return null;
-    }
-
-    extractSize(text) {
-        const sizeMatch = text.match(/\bsize\s*(\w+)\b/i) ||
-            text.match(/\b(XS|S|M|L|XL|XXL)\b/i) ||
-            text.match(/\b(\d{1,2}(?:\.\d)?)\b/);
-        return sizeMatch ? normalizeSize(sizeMatch[1]) : null;
-    }
-
-    async requestClarification(parsedTask, taskId) {
-        const questions = [];
-
-        if (!parsedTask.product.brand && !parsedTask.product.model) {
-            questions.push('What brand or product are you looking for?');
-        }
-
-        return {
-            needsClarification: questions.length > 0,
-            questions,
-            partialParse: parsedTask,
-        };
-    }
-}
-
 /**
  * Factory function to create appropriate parser
  */
 export function createIntentParser() {
-    if (config.dryRun || !config.geminiApiKey) {
-        return new MockIntentParser();
-    }
     return new IntentParser();
 }
 
-export default { IntentParser, MockIntentParser, createIntentParser };
+export default { IntentParser, createIntentParser };
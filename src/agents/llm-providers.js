@@ -0,0 +1,296 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import config from '../config.js';
+import { createTaskLogger } from '../logger.js';
+import { TaskType } from '../schemas.js';
+
+/**
+ * LLM providers for intent parsing. Every provider exposes
+ * complete({ system, prompt, input }) resolving to { text, usage }, where
+ * input is the raw user request and usage follows Gemini's usageMetadata
+ * shape (null when the provider reports none).
+ */
+
+/**
+ * Sampling settings shared by the model-backed providers
+ */
+const TEMPERATURE = 0.1;
+const MAX_OUTPUT_TOKENS = 1000;
+
+/**
+ * Brands the mock provider recognizes
+ */
+const MOCK_BRAND_PATTERN = /(nnormal|nike|adidas|puma|patagonia|zara|h&m|new balance|converse|vans)/i;
+
+/**
+ * Colors the mock provider recognizes
+ */
+const MOCK_COLOR_PATTERN = /(black|white|red|blue|green|grey|gray|navy|pink|brown|negro|blanco|azul)/i;
+
+/**
+ * Models the mock provider recognizes, longest variants first
+ */
+const MOCK_MODELS = [
+    // NNORMAL models
+    'Tomir 02 Gore-Tex', 'Tomir 02 GTX', 'Tomir 02', 'Tomir',
+    'Kjerag 02', 'Kjerag Brut', 'Kjerag',
+    'Kboix 01', 'Kboix',
+    // Nike models
+    'Air Force 1', 'Air Max', 'Air Jordan', 'Dunk', 'Blazer',
+    // Adidas models
+    'Samba', 'Stan Smith', 'Superstar', 'Gazelle', 'Ultraboost',
+    // Outdoor brands
+    'Down Sweater', 'Nano Puff', 'Nuptse', '574', '990', '550',
+];
+
+/**
+ * Google Gemini through @google/generative-ai
+ */
+export class GeminiProvider {
+    constructor({ apiKey, model }) {
+        this.name = 'gemini';
+        this.model = model;
+        this.metered = true;
+        this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({
+            model,
+            generationConfig: {
+                temperature: TEMPERATURE,
+                maxOutputTokens: MAX_OUTPUT_TOKENS,
+                responseMimeType: 'application/json',
+            },
+        });
+    }
+
+    async complete({ system, prompt }) {
+        const result = await this.client.generateContent(`${system}\n\n${prompt}`);
+        const response = await result.response;
+        return { text: response.text(), usage: response.usageMetadata || null };
+    }
+}
+
+/**
+ * Any OpenAI-compatible chat completions endpoint (OpenAI, a local
+ * llama.cpp server, Ollama, vLLM, ...)
+ */
+export class OpenAICompatibleProvider {
+    constructor({ baseUrl, apiKey, model }) {
+        this.name = 'openai';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.metered = true;
+    }
+
+    async complete({ system, prompt }) {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+            },
+            body: JSON.stringify({
+                model: this.model,
+                messages: [
+                    { role: 'system', content: system },
+                    { role: 'user', content: prompt },
+                ],
+                temperature: TEMPERATURE,
+                max_tokens: MAX_OUTPUT_TOKENS,
+                response_format: { type: 'json_object' },
+            }),
+            signal: AbortSignal.timeout(config.requestTimeout),
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${response.statusText} from ${this.baseUrl}`);
+        }
+
+        const data = await response.json();
+        const usage = data.usage && {
+            promptTokenCount: data.usage.prompt_tokens || 0,
+            candidatesTokenCount: data.usage.completion_tokens || 0,
+            totalTokenCount: data.usage.total_tokens || 0,
+        };
+        return { text: data.choices?.[0]?.message?.content || '', usage: usage || null };
+    }
+}
+
+/**
+ * Mock provider for dry-run mode - regex-based parsing of the user request
+ * into the same raw JSON a model would return, normalized and validated by
+ * IntentParser like any other answer. Makes no network calls.
+ */
+export class MockProvider {
+    constructor() {
+        this.name = 'mock';
+        this.model = 'regex';
+        this.metered = false;
+    }
+
+    async complete({ input: userInput }) {
+
+        // Simple regex-based parsing for testing
+        const brand = this.extractPattern(userInput, MOCK_BRAND_PATTERN);
+        const color = this.extractPattern(userInput, MOCK_COLOR_PATTERN);
+        const priceMatch = userInput.match(/(\d+)\s*€|€\s*(\d+)|under\s+(\d+)|debajo de\s+(\d+)|por debajo de\s+(\d+)/i);
+        const price = priceMatch ? parseInt(priceMatch[1] || priceMatch[2] || priceMatch[3] || priceMatch[4] || priceMatch[5]) : null;
+        const isRestock = /back in stock|restock|in stock again|available again|wieder verfügbar|vuelva a estar disponible|de nuevo en stock/i.test(userInput);
+        const discountMatch = userInput.match(/(\d{1,2})\s*%\s*(?:off|discount|descuento|de descuento|rabatt)/i);
+
+        const hasGoogle = /google|online|internet|search/i.test(userInput);
+        const siteMatches = userInput.match(/(zalando|farfetch|asos|zara|h&m|sportsshoes|nnormal\.com)/gi);
+
+        // Detect direct URLs in the input
+        const urlMatch = userInput.match(/https?:\/\/(?:www\.)?([a-zA-Z0-9-]+(?:\.[a-zA-Z]{2,})+)/i);
+        const directUrl = urlMatch ? urlMatch[0] : null;
+        const directSite = urlMatch ? urlMatch[1].replace(/\.[^.]+$/, '') : null; // Extract domain name
+
+        const category = this.extractCategory(userInput);
+        const gender = this.extractGender(userInput);
+
+        // Several model mentions mean a comparison, each with the brand named
+        // before it and the color named after it (before the next model)
+        const models = this.extractModels(userInput);
+        const products = models.length > 1
+            ? models.map(({ model, index }, i) => ({
+                brand: this.extractBrandBefore(userInput, index) || brand,
+                model,
+                category,
+                color: this.extractPattern(userInput.slice(index, models[i + 1]?.index), MOCK_COLOR_PATTERN) || color,
+                gender,
+            }))
+            : null;
+
+        const parsedTask = {
+            task_type: isRestock ? TaskType.RESTOCK_MONITORING : TaskType.PRICE_MONITORING,
+            product: products ? products[0] : {
+                brand,
+                model: this.extractModel(userInput),
+                category,
+                color,
+                gender,
+            },
+            products,
+            constraints: {
+                max_price: price,
+                currency: 'EUR',
+                size: this.extractSize(userInput),
+                min_discount_percent: discountMatch ? parseInt(discountMatch[1]) : null,
+            },
+            sources: {
+                mode: directUrl ? 'direct_url' : (siteMatches && siteMatches.length > 0 ? 'specific_sites' : 'google'),
+                sites: directUrl ? [directSite] : (siteMatches ? siteMatches.map(s => s.toLowerCase()) : null),
+                url: directUrl, // Store the full URL for direct navigation
+            },
+            search_strategy: hasGoogle ? 'google' : 'site_internal',
+            confidence: brand ? 0.75 : 0.5,
+        };
+
+        return { text: JSON.stringify(parsedTask), usage: null };
+    }
+
+    extractPattern(text, regex) {
+        const match = text.match(regex);
+        return match ? match[1] : null;
+    }
+
+    extractModel(text) {
+        for (const model of MOCK_MODELS) {
+            if (text.toLowerCase().includes(model.toLowerCase())) {
+                return model;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Every mention of a known model in the text, in order of appearance
+     * ("Samba black vs Samba white" mentions Samba twice). Models that are
+     * part of a longer match ("Tomir" in "Tomir 02") are skipped.
+     */
+    extractModels(text) {
+        const lowerText = text.toLowerCase();
+        const found = [];
+
+        for (const model of MOCK_MODELS) {
+            const needle = model.toLowerCase();
+            for (let index = lowerText.indexOf(needle); index !== -1; index = lowerText.indexOf(needle, index + 1)) {
+                const end = index + model.length;
+                if (found.some(other => index >= other.index && end <= other.index + other.model.length)) continue;
+                found.push({ model, index });
+            }
+        }
+
+        return found.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Last brand named before a position in the text
+     */
+    extractBrandBefore(text, position) {
+        const matches = [...text.slice(0, position).matchAll(new RegExp(MOCK_BRAND_PATTERN, 'gi'))];
+        return matches.length > 0 ? matches[matches.length - 1][1] : null;
+    }
+
+    extractCategory(text) {
+        const categories = {
+            'sneakers': ['sneaker', 'shoe', 'trainer', 'kick'],
+            'jacket': ['jacket', 'coat', 'puffer', 'down'],
+            't-shirt': ['t-shirt', 'tee', 'shirt'],
+            'hoodie': ['hoodie', 'sweatshirt', 'sweater'],
+            'jeans': ['jeans', 'denim'],
+            'dress': ['dress'],
+            'pants': ['pants', 'trousers'],
+        };
+
+        const lowerText = text.toLowerCase();
+        for (const [category, keywords] of Object.entries(categories)) {
+            if (keywords.some(kw => lowerText.includes(kw))) {
+                return category;
+            }
+        }
+        return null;
+    }
+
+    extractGender(text) {
+        const lowerText = text.toLowerCase();
+        if (/\b(men|man|male|mens|men's)\b/.test(lowerText)) return 'men';
+        if (/\b(women|woman|female|womens|women's)\b/.test(lowerText)) return 'women';
+        if (/\b(kid|kids|children|child)\b/.test(lowerText)) return 'kids';
+        return null;
+    }
+
+    extractSize(text) {
+        const sizeMatch = text.match(/\bsize\s*(\w+)\b/i) ||
+            text.match(/\b(XS|S|M|L|XL|XXL)\b/i) ||
+            text.match(/\b(\d{1,2}(?:\.\d)?)\b(?!\s*%)/);
+        return sizeMatch ? sizeMatch[1] : null;
+    }
+}
+
+/**
+ * Create the provider selected in configuration. Dry-run mode, and Gemini
+ * without an API key, fall back to the mock.
+ */
+export function createLLMProvider() {
+    const logger = createTaskLogger('intent-parser', 'LLMProvider');
+
+    if (config.dryRun || config.llmProvider === 'mock') {
+        return new MockProvider();
+    }
+
+    if (config.llmProvider === 'openai') {
+        return new OpenAICompatibleProvider({
+            baseUrl: config.openaiBaseUrl,
+            apiKey: config.openaiApiKey,
+            model: config.openaiModel,
+        });
+    }
+
+    if (!config.geminiApiKey) {
+        logger.warn('GEMINI_API_KEY is not set, using the mock provider');
+        return new MockProvider();
+    }
+    return new GeminiProvider({ apiKey: config.geminiApiKey, model: config.geminiModel || 'gemini-2.0-flash' });
+}
+
+export default { GeminiProvider, OpenAICompatibleProvider, MockProvider, createLLMProvider };
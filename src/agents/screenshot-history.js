@@ -0,0 +1,90 @@
+import config from '../config.js';
+
+/**
+ * Products listed in a pruned screenshot's summary
+ */
+const MAX_SUMMARY_PRODUCTS = 5;
+
+/**
+ * How the Computer Use conversation carries screenshots: how many stay
+ * inline (0 = all) and how they are encoded before being sent
+ */
+export function getContextPolicy() {
+    const format = config.computerUseScreenshotFormat === 'jpeg' ? 'jpeg' : 'png';
+
+    return {
+        screenshot_history: Math.max(0, config.computerUseScreenshotHistory),
+        format,
+        quality: format === 'jpeg' ? config.computerUseScreenshotQuality : null,
+        scale: Math.min(1, Math.max(0.1, config.computerUseScreenshotScale)),
+    };
+}
+
+/**
+ * Text standing in for a screenshot once it leaves the conversation:
+ * the page, the action that led there and the products seen on it
+ */
+export function summarizeScreenshot({ turn = null, action = null, url, products = [] }) {
+    const step = action ? `turn ${turn}, after ${action}` : 'initial page';
+    const seen = products.slice(0, MAX_SUMMARY_PRODUCTS)
+        .map(product => `${product.product_name} ${product.price} ${product.currency}`)
+        .join('; ');
+
+    return `[Screenshot omitted (${step}): ${url}. ` +
+        `${seen ? `Products seen: ${seen}` : 'No products seen'}${products.length > MAX_SUMMARY_PRODUCTS ? '; ...' : ''}]`;
+}
+
+/**
+ * Screenshot History - tracks the conversation parts that carry a
+ * screenshot. Every turn resends the whole conversation, so only the most
+ * recent screenshots stay inline; older ones are swapped for their summary.
+ */
+export class ScreenshotHistory {
+    constructor(keep) {
+        this.keep = keep;
+        // Conversation parts with their summaries, oldest first
+        this.entries = [];
+    }
+
+    /**
+     * Register a part holding inlineData, with the summary that replaces it
+     */
+    add(part, summary) {
+        this.entries.push({ part, summary, pruned: false });
+    }
+
+    /**
+     * Drop the inline image from all but the most recent screenshots.
+     * Function responses keep the summary in their response; standalone
+     * image parts become text. Returns the number of screenshots pruned.
+     */
+    prune() {
+        if (this.keep === 0) {
+            return 0;
+        }
+
+        let pruned = 0;
+        for (const entry of this.entries.slice(0, -this.keep)) {
+            if (entry.pruned) continue;
+
+            delete entry.part.inlineData;
+            if (entry.part.functionResponse) {
+                entry.part.functionResponse.response.page_summary = entry.summary;
+            } else {
+                entry.part.text = entry.summary;
+            }
+            entry.pruned = true;
+            pruned++;
+        }
+        return pruned;
+    }
+
+    /**
+     * Number of screenshots still inline
+     */
+    get inlineCount() {
+        return this.entries.filter(entry => !entry.pruned).length;
+    }
+}
+
+export default { ScreenshotHistory, getContextPolicy, summarizeScreenshot };
@@ -1,12 +1,44 @@
 import { v4 as uuidv4 } from 'uuid';
 import config from '../config.js';
 import logger, { createTaskLogger, logTaskEvent, logTaskResult } from '../logger.js';
-import { TaskStatus } from '../schemas.js';
+import { TaskStatus, TaskType } from '../schemas.js';
+import { getTaskEventBus, TASK_RESULT_EVENT } from '../task-events.js';
 import { createIntentParser } from './intent-parser.js';
-import { createBrowserAgent } from './browser-agent.js';
-import { createComputerUseAgent } from './computer-use-agent.js';
+import { createBrowserAgent, mapWithConcurrency } from './browser-agent.js';
+import { createComputerUseAgent, REPORT_RESULTS_FUNCTION } from './computer-use-agent.js';
+import { getUsageTracker } from './usage-tracker.js';
 import { validateTask, needsClarification, formatValidationErrors } from '../validation/guardrails.js';
+import { applyProductMatching } from '../validation/product-matcher.js';
+import { getCurrencyConverter } from '../validation/currency-converter.js';
+import { applyDiscounts } from '../validation/discounts.js';
+import { applyRestockCriteria } from '../validation/restock.js';
 import { writeResults } from '../output/results-writer.js';
+import { getTaskRegistry } from '../output/task-registry.js';
+import { getAlertDispatcher } from '../alerts/alert-dispatcher.js';
+
+/**
+ * Display names of compared products. Products sharing brand and model
+ * are told apart by color and gender.
+ */
+function formatProductLabels(products) {
+    const baseLabel = product => [product.brand, product.model].filter(Boolean).join(' ') || product.category || 'Product';
+
+    return products.map(product => {
+        const label = baseLabel(product);
+        const shared = products.filter(other => baseLabel(other) === label).length > 1;
+        return shared ? [label, product.color, product.gender].filter(Boolean).join(' ') : label;
+    });
+}
+
+/**
+ * Cheapest result by converted price, ignoring low-match results and
+ * prices that could not be converted
+ */
+function findCheapest(results) {
+    return results
+        .filter(r => !r.low_match && r.converted_price !== null && r.converted_price !== undefined)
+        .reduce((cheapest, r) => (!cheapest || r.converted_price < cheapest.converted_price ? r : cheapest), null);
+}
 
 /**
  * Task Orchestrator - coordinates the complete monitoring workflow
@@ -31,9 +63,13 @@ export class TaskOrchestrator {
             parsedTask: null,
             results: [],
             errors: [],
+            alerts: [],
+            // Per-product outcomes of a comparison request
+            comparison: null,
             createdAt: new Date().toISOString(),
             completedAt: null,
             executionTimeMs: 0,
+            usage: null,
         };
 
         this.activeTasks.set(taskId, task);
@@ -45,29 +81,56 @@ export class TaskOrchestrator {
     }
 
     /**
-     * Process a user query through the complete pipeline
+     * Process a user query through the complete pipeline and wait for the result
+     * Pass options.parsedTask to skip intent parsing (e.g. for scheduled watches)
      */
-    async processQuery(userInput) {
-        const startTime = Date.now();
+    async processQuery(userInput, options = {}) {
+        const task = await this.createTask(userInput);
+        return this.runTask(task, options);
+    }
 
-        // Create task
+    /**
+     * Create a task and run it in the background. Progress and the final
+     * response are published on the task event bus.
+     */
+    async submitQuery(userInput, options = {}) {
         const task = await this.createTask(userInput);
+
+        this.runTask(task, options).catch(error => {
+            logger.error('Background task failed', { taskId: task.id, error: error.message });
+        });
+
+        return task;
+    }
+
+    /**
+     * Run a created task through parsing, validation, execution and output
+     */
+    async runTask(task, options = {}) {
+        const startTime = Date.now();
         const taskLogger = createTaskLogger(task.id, 'TaskOrchestrator');
 
         try {
             // Phase 1: Intent Parsing
             task.status = TaskStatus.IN_PROGRESS;
-            logTaskEvent(task.id, 'parsing_started');
 
-            const parseResult = await this.intentParser.parse(userInput, task.id);
+            if (options.parsedTask) {
+                task.parsedTask = options.parsedTask;
+                logTaskEvent(task.id, 'parsing_skipped');
+            } else {
+                logTaskEvent(task.id, 'parsing_started');
 
-            if (!parseResult.success) {
-                task.status = TaskStatus.VALIDATION_FAILED;
-                task.errors.push(`Intent parsing failed: ${parseResult.error}`);
-                return this.finalizeTask(task, startTime);
+                const parseResult = await this.intentParser.parse(task.originalQuery, task.id);
+
+                if (!parseResult.success) {
+                    task.status = parseResult.budgetExceeded ? TaskStatus.BUDGET_EXCEEDED : TaskStatus.VALIDATION_FAILED;
+                    task.errors.push(`Intent parsing failed: ${parseResult.error}`);
+                    return this.finalizeTask(task, startTime);
+                }
+
+                task.parsedTask = parseResult.parsedTask;
             }
 
-            task.parsedTask = parseResult.parsedTask;
             logTaskEvent(task.id, 'parsing_completed', {
                 confidence: task.parsedTask.confidence,
                 brand: task.parsedTask.product.brand,
@@ -105,53 +168,35 @@ export class TaskOrchestrator {
 
             logTaskEvent(task.id, 'execution_started');
 
-            let executionResult;
-
-            // Choose execution method: Computer Use or traditional Browser Agent
-            if (config.useComputerUse) {
-                taskLogger.info('Using Computer Use agent for visual browser control');
-                const computerUseAgent = createComputerUseAgent();
-
-                // Build goal from parsed task
-                const goal = this.buildComputerUseGoal(task.parsedTask);
-                const cuResult = await computerUseAgent.executeTask(goal, task.id);
-
-                // Map Computer Use results to standard format
-                executionResult = {
-                    status: cuResult.success ? TaskStatus.OK : TaskStatus.TIMEOUT,
-                    results: cuResult.results.map(r => ({
-                        product_name: r.product_name || 'Unknown',
-                        current_price: r.price || 0,
-                        currency: r.currency || 'EUR',
-                        store_name: r.store_name || 'Unknown Store',
-                        availability: r.availability || 'unknown',
-                        source_url: r.source_url || '',
-                        screenshot_path: r.screenshot_path || null,
-                        meets_criteria: task.parsedTask.constraints.max_price
-                            ? r.price <= task.parsedTask.constraints.max_price
-                            : true,
-                    })),
-                    errors: cuResult.success ? [] : [cuResult.error || 'Computer Use execution failed'],
-                };
+            if (task.parsedTask.products?.length > 1) {
+                await this.executeComparison(task, taskLogger);
             } else {
-                taskLogger.info('Using traditional Browser Agent');
-                const browserAgent = createBrowserAgent();
-                executionResult = await browserAgent.executeTask(task.parsedTask, task.id);
+                const execution = await this.executeProduct(task, task.parsedTask, taskLogger);
+                task.status = execution.status;
+                task.errors.push(...execution.errors);
+                task.results = execution.results;
             }
 
-            task.status = executionResult.status;
-            task.results = executionResult.results;
-            task.errors.push(...executionResult.errors);
-
             logTaskEvent(task.id, 'execution_completed', {
-                status: executionResult.status,
-                resultCount: executionResult.results.length,
+                status: task.status,
+                resultCount: task.results.length,
             });
 
-            // Phase 5: Write results
+            // Phase 5: Write results and alert on new matches
             if (task.results.length > 0) {
+                // Alerts compare against the previous observation, so evaluate before recording
+                const alertDispatcher = getAlertDispatcher();
+                task.alerts = alertDispatcher.evaluate(task);
+
                 await writeResults(task);
                 logTaskEvent(task.id, 'results_written');
+
+                if (task.alerts.length > 0) {
+                    logTaskEvent(task.id, 'alerts_triggered', { count: task.alerts.length });
+                    alertDispatcher.dispatch(task.alerts).catch(error => {
+                        taskLogger.error('Alert dispatch failed', { error: error.message });
+                    });
+                }
             }
 
             return this.finalizeTask(task, startTime);
@@ -164,12 +209,145 @@ export class TaskOrchestrator {
         }
     }
 
+    /**
+     * Search for one product: run the browser or Computer Use agent, then
+     * convert prices, apply discount and restock criteria and score the
+     * results against the product. Returns { status, results, errors }.
+     */
+    async executeProduct(task, parsedTask, taskLogger, { trajectoryId = task.id } = {}) {
+        let executionResult;
+
+        // Choose execution method: Computer Use or traditional Browser Agent
+        if (config.useComputerUse) {
+            taskLogger.info('Using Computer Use agent for visual browser control');
+            const computerUseAgent = createComputerUseAgent();
+
+            // Build goal from parsed task
+            const goal = this.buildComputerUseGoal(parsedTask);
+            const cuResult = await computerUseAgent.executeTask(goal, task.id, parsedTask, { trajectoryId });
+
+            // Map Computer Use results to standard format
+            let status = TaskStatus.OK;
+            if (!cuResult.success) {
+                status = cuResult.budgetExceeded ? TaskStatus.BUDGET_EXCEEDED : TaskStatus.TIMEOUT;
+            }
+
+            executionResult = {
+                status,
+                results: cuResult.results.map(r => {
+                    const method = r.extraction_method || 'computer_use';
+                    return {
+                        product_name: r.product_name || 'Unknown',
+                        current_price: r.price || 0,
+                        currency: r.currency || 'EUR',
+                        store_name: r.store_name || 'Unknown Store',
+                        availability: r.availability || 'unknown',
+                        source_url: r.source_url || '',
+                        screenshot_path: r.screenshot_path || null,
+                        extraction_methods: {
+                            price: method,
+                            product_name: method,
+                            availability: method,
+                        },
+                        meets_criteria: parsedTask.constraints.max_price
+                            ? r.price <= parsedTask.constraints.max_price
+                            : true,
+                    };
+                }),
+                errors: cuResult.success ? [] : [cuResult.error || 'Computer Use execution failed'],
+            };
+        } else {
+            taskLogger.info('Using traditional Browser Agent');
+            const browserAgent = createBrowserAgent();
+            executionResult = await browserAgent.executeTask(parsedTask, task.id);
+        }
+
+        let status = executionResult.status;
+
+        // Convert prices into the requested currency before checking criteria
+        const converter = getCurrencyConverter();
+        await converter.refresh();
+        converter.convertResults(executionResult.results, parsedTask.constraints);
+
+        // Compute discounts and enforce the minimum discount, if one was requested
+        applyDiscounts(executionResult.results, parsedTask.constraints);
+
+        // Restock tasks meet criteria on an out_of_stock -> in_stock transition, not on price
+        if (parsedTask.task_type === TaskType.RESTOCK_MONITORING) {
+            applyRestockCriteria(executionResult.results);
+        }
+
+        // Score results against the requested product before they are stored
+        const matching = applyProductMatching(executionResult.results, parsedTask.product);
+
+        if (matching.rejected.length > 0) {
+            taskLogger.info('Low-match results filtered', {
+                rejected: matching.rejected.map(r => r.product_name),
+            });
+            if (matching.results.length === 0 && status === TaskStatus.OK) {
+                status = TaskStatus.NOT_FOUND;
+            }
+        }
+
+        return { status, results: matching.results, errors: executionResult.errors };
+    }
+
+    /**
+     * Search for every product of a comparison, up to maxConcurrentProducts
+     * at once, with the task's sources and constraints. Results are tagged
+     * with the product they belong to; the task is OK when any product was found.
+     */
+    async executeComparison(task, taskLogger) {
+        const { products } = task.parsedTask;
+        const labels = formatProductLabels(products);
+
+        const executions = await mapWithConcurrency(products, config.maxConcurrentProducts, async (product, index) => {
+            const label = labels[index];
+            logTaskEvent(task.id, 'comparison_product_started', {
+                index,
+                product: label,
+                total: products.length,
+            });
+
+            const execution = await this.executeProduct(task, { ...task.parsedTask, product, products: null }, taskLogger, {
+                trajectoryId: `${task.id}-p${index + 1}`,
+            });
+
+            logTaskEvent(task.id, 'comparison_product_completed', {
+                index,
+                product: label,
+                total: products.length,
+                status: execution.status,
+                resultCount: execution.results.length,
+            });
+
+            return { index, label, product, ...execution };
+        });
+
+        // Collect in product order, whichever search finished first
+        task.comparison = executions.map(({ index, label, product, status, results, errors }) => {
+            results.forEach(result => {
+                result.comparison_index = index;
+                result.product_label = label;
+            });
+            task.results.push(...results);
+            task.errors.push(...errors.map(error => `${label}: ${error}`));
+            return { index, label, product, status };
+        });
+
+        const statuses = task.comparison.map(entry => entry.status);
+        task.status = statuses.includes(TaskStatus.OK)
+            ? TaskStatus.OK
+            : statuses.find(status => status !== TaskStatus.OK);
+    }
+
     /**
      * Finalize task and record completion
      */
     finalizeTask(task, startTime) {
         task.completedAt = new Date().toISOString();
         task.executionTimeMs = Date.now() - startTime;
+        task.usage = getUsageTracker().takeTaskUsage(task.id);
 
         logTaskResult(task.id, task.status, {
             resultCount: task.results.length,
@@ -177,10 +355,15 @@ export class TaskOrchestrator {
             executionTimeMs: task.executionTimeMs,
         });
 
-        // Remove from active tasks
+        const response = this.formatTaskResponse(task);
+
+        // Move from active tasks to the registry of finished tasks
+        getTaskRegistry().record(task, response);
         this.activeTasks.delete(task.id);
 
-        return this.formatTaskResponse(task);
+        getTaskEventBus().publish(task.id, TASK_RESULT_EVENT, response);
+
+        return response;
     }
 
     /**
@@ -196,7 +379,9 @@ export class TaskOrchestrator {
         // Include parsed task info if available
         if (task.parsedTask) {
             response.parsed = {
+                task_type: task.parsedTask.task_type,
                 product: task.parsedTask.product,
+                products: task.parsedTask.products ?? null,
                 constraints: task.parsedTask.constraints,
                 sources: task.parsedTask.sources,
                 confidence: task.parsedTask.confidence,
@@ -206,26 +391,90 @@ export class TaskOrchestrator {
         // Include results if successful
         if (task.status === TaskStatus.OK && task.results.length > 0) {
             response.results = task.results.map(r => ({
+                product_id: r.product_id,
                 product_name: r.product_name,
                 current_price: r.current_price,
                 currency: r.currency,
+                converted_price: r.converted_price ?? null,
+                converted_currency: r.converted_currency ?? null,
+                original_price: r.original_price ?? null,
+                discount_percent: r.discount_percent ?? null,
+                on_sale: r.on_sale || false,
                 store_name: r.store_name,
                 availability: r.availability,
+                selected_size: r.selected_size ?? null,
+                size_availability: r.size_availability ?? null,
+                previous_availability: r.previous_availability ?? null,
+                restocked: r.restocked ?? null,
                 source_url: r.source_url,
                 meets_criteria: r.meets_criteria,
+                match_score: r.match_score,
+                low_match: r.low_match || false,
                 screenshot: r.screenshot_path,
+                extraction_methods: r.extraction_methods,
+                ...(task.comparison && { product_label: r.product_label }),
             }));
 
-            // Summary
+            // Summary (low-match results and unconvertible prices don't count towards the lowest price)
             const matchingResults = task.results.filter(r => r.meets_criteria);
+            const relevantResults = task.results.filter(r => !r.low_match);
+            const comparablePrices = relevantResults
+                .map(r => r.converted_price)
+                .filter(price => price !== null && price !== undefined);
             response.summary = {
                 total_results: task.results.length,
                 matching_criteria: matchingResults.length,
-                lowest_price: task.results.reduce((min, r) =>
-                    r.current_price < min ? r.current_price : min, Infinity),
+                low_match_results: task.results.length - relevantResults.length,
+                lowest_price: comparablePrices.length > 0 ? Math.min(...comparablePrices) : null,
+                currency: task.results.find(r => r.converted_currency)?.converted_currency || null,
+            };
+        }
+
+        // Side-by-side summary of a comparison: each product's cheapest offer
+        if (task.comparison) {
+            const cheapestOf = results => {
+                const cheapest = findCheapest(results);
+                return cheapest && {
+                    product_label: cheapest.product_label,
+                    product_name: cheapest.product_name,
+                    price: cheapest.converted_price,
+                    currency: cheapest.converted_currency,
+                    store_name: cheapest.store_name ?? null,
+                    source_url: cheapest.source_url,
+                    meets_criteria: cheapest.meets_criteria,
+                };
+            };
+
+            response.comparison = {
+                products: task.comparison.map(entry => {
+                    const results = task.results.filter(r => r.comparison_index === entry.index);
+                    return {
+                        label: entry.label,
+                        product: entry.product,
+                        status: entry.status,
+                        result_count: results.length,
+                        matching_criteria: results.filter(r => r.meets_criteria).length,
+                        cheapest: cheapestOf(results),
+                    };
+                }),
+                cheapest_overall: cheapestOf(task.results),
             };
         }
 
+        // Include triggered alerts
+        if (task.alerts.length > 0) {
+            response.alerts = task.alerts.map(a => ({
+                type: a.type,
+                product_id: a.product_id,
+                product_name: a.product_name,
+                price: a.price,
+                currency: a.currency,
+                converted_price: a.converted_price,
+                converted_currency: a.converted_currency,
+                previous_price: a.previous_price,
+            }));
+        }
+
         // Include errors/clarification questions
         if (task.errors.length > 0) {
             if (task.status === TaskStatus.CLARIFICATION_NEEDED) {
@@ -235,6 +484,11 @@ export class TaskOrchestrator {
             }
         }
 
+        // Gemini tokens and estimated cost spent on the task
+        if (task.usage) {
+            response.usage = task.usage;
+        }
+
         response.execution_time_ms = task.executionTimeMs;
         response.timestamp = task.completedAt;
 
@@ -242,17 +496,63 @@ export class TaskOrchestrator {
     }
 
     /**
-     * Get task status
+     * Get task status - live status for active tasks, full outcome for finished ones
      */
     getTaskStatus(taskId) {
         const task = this.activeTasks.get(taskId);
-        if (!task) {
+        if (task) {
+            return {
+                task_id: task.id,
+                status: task.status,
+                created_at: task.createdAt,
+                completed_at: null,
+            };
+        }
+
+        const record = getTaskRegistry().get(taskId);
+        if (!record) {
             return null;
         }
         return {
+            ...record.response,
+            created_at: record.created_at,
+            completed_at: record.completed_at,
+            errors: record.errors,
+            screenshots: record.screenshots,
+        };
+    }
+
+    /**
+     * List active and finished tasks, newest first
+     * Filters: status, since (Date); paginated with limit/offset
+     */
+    listTasks({ status = null, since = null, limit = 20, offset = 0 } = {}) {
+        const active = Array.from(this.activeTasks.values()).map(task => ({
             task_id: task.id,
             status: task.status,
+            query: task.originalQuery.substring(0, 50),
             created_at: task.createdAt,
+            completed_at: null,
+        }));
+
+        const finished = getTaskRegistry().list().map(record => ({
+            task_id: record.task_id,
+            status: record.status,
+            query: record.original_query.substring(0, 50),
+            created_at: record.created_at,
+            completed_at: record.completed_at,
+        }));
+
+        const tasks = [...active, ...finished]
+            .filter(t => !status || t.status === status)
+            .filter(t => !since || new Date(t.created_at) >= since)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+        return {
+            tasks: tasks.slice(offset, offset + limit),
+            total: tasks.length,
+            limit,
+            offset,
         };
     }
 
@@ -303,11 +603,25 @@ export class TaskOrchestrator {
         if (parsedTask.constraints?.max_price) {
             parts.push(`under ${parsedTask.constraints.max_price}${parsedTask.constraints.currency || '€'}`);
         }
+        if (parsedTask.constraints?.min_discount_percent) {
+            parts.push(`at least ${parsedTask.constraints.min_discount_percent}% off`);
+        }
+        if (parsedTask.task_type === TaskType.RESTOCK_MONITORING) {
+            parts.push(parsedTask.constraints?.size
+                ? `and check whether size ${parsedTask.constraints.size} is in stock`
+                : 'and check whether it is in stock');
+        }
 
-        // Final instruction
+        // Final instruction, with the declared output contract
         const goal = parts.join(' ') +
             '. Find the product price and extract it. ' +
-            'Navigate to a product page if needed, scroll to see the price, and report the price you find.';
+            'Navigate to a product page if needed and scroll to see the price. ' +
+            'Stay on shopping sites and never open cart, checkout, login or account pages. ' +
+            `When you are done, call ${REPORT_RESULTS_FUNCTION} with every matching product you found ` +
+            '(an empty list if none). If you cannot call it, answer with only this JSON: ' +
+            '{"results": [{"product_name": string, "price": number, "currency": "EUR" | "USD" | "GBP" | other ISO code, ' +
+            '"store_name": string, "source_url": string, "availability": "in_stock" | "out_of_stock" | "unknown"}]}. ' +
+            'Only report prices you have seen on the page.';
 
         return goal;
     }
@@ -0,0 +1,243 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import { createTaskLogger } from '../logger.js';
+
+/**
+ * Gemini list prices in USD per million tokens (prompts up to 200k tokens).
+ * Models are matched by prefix; unknown models are tracked at no cost.
+ */
+const MODEL_PRICING = {
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'gemini-2.5-computer-use-preview': { input: 1.25, output: 10.00 },
+};
+
+/**
+ * Pricing for a model, or null when it is not listed
+ */
+function getModelPricing(model) {
+    const key = Object.keys(MODEL_PRICING)
+        .filter(prefix => model?.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return key ? MODEL_PRICING[key] : null;
+}
+
+/**
+ * UTC day (YYYY-MM-DD) of a timestamp
+ */
+function getDay(date = new Date()) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Empty usage totals
+ */
+function emptyTotals() {
+    return { calls: 0, prompt_tokens: 0, response_tokens: 0, total_tokens: 0, cost_usd: 0 };
+}
+
+/**
+ * Add one call's usage to running totals
+ */
+function addToTotals(totals, entry) {
+    totals.calls++;
+    totals.prompt_tokens += entry.prompt_tokens;
+    totals.response_tokens += entry.response_tokens;
+    totals.total_tokens += entry.total_tokens;
+    totals.cost_usd += entry.cost_usd;
+}
+
+/**
+ * Totals rounded for reporting
+ */
+function formatTotals(totals) {
+    return { ...totals, cost_usd: Math.round(totals.cost_usd * 10000) / 10000 };
+}
+
+/**
+ * Usage Tracker - accounts the tokens of every Gemini call per task, per
+ * Computer Use turn and per day, from the response usage metadata, and
+ * enforces the per-task and daily token and cost budgets. Every call is
+ * appended to a ledger so daily totals survive restarts.
+ */
+export class UsageTracker {
+    constructor(filepath = path.join(config.dataDir, 'usage.jsonl')) {
+        this.filepath = filepath;
+        // Task id -> { totals, turns } for tasks still running
+        this.tasks = new Map();
+        // Day -> totals
+        this.days = new Map();
+        this.logger = createTaskLogger('usage', 'UsageTracker');
+        this.load();
+    }
+
+    /**
+     * Rebuild daily totals from the ledger
+     */
+    load() {
+        if (!fs.existsSync(this.filepath)) {
+            return;
+        }
+
+        const content = fs.readFileSync(this.filepath, 'utf-8');
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                addToTotals(this.getDayTotals(entry.day), entry);
+            } catch {
+                // Skip partial lines
+            }
+        }
+    }
+
+    /**
+     * Running totals of a day
+     */
+    getDayTotals(day = getDay()) {
+        if (!this.days.has(day)) {
+            this.days.set(day, emptyTotals());
+        }
+        return this.days.get(day);
+    }
+
+    /**
+     * Running usage of a task
+     */
+    getTask(taskId) {
+        if (!this.tasks.has(taskId)) {
+            this.tasks.set(taskId, { totals: emptyTotals(), turns: [] });
+        }
+        return this.tasks.get(taskId);
+    }
+
+    /**
+     * Record a Gemini response's usage metadata. Returns the ledger entry.
+     */
+    record(taskId, { component, model, turn = null, usageMetadata }) {
+        const promptTokens = usageMetadata?.promptTokenCount || 0;
+        // Thinking tokens are billed as output
+        const responseTokens = (usageMetadata?.candidatesTokenCount || 0) + (usageMetadata?.thoughtsTokenCount || 0);
+        const pricing = getModelPricing(model);
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            day: getDay(),
+            task_id: taskId,
+            component,
+            model,
+            turn,
+            prompt_tokens: promptTokens,
+            response_tokens: responseTokens,
+            total_tokens: usageMetadata?.totalTokenCount || promptTokens + responseTokens,
+            cost_usd: pricing
+                ? (promptTokens * pricing.input + responseTokens * pricing.output) / 1e6
+                : 0,
+        };
+
+        if (!usageMetadata) {
+            this.logger.warn('Gemini response without usage metadata', { taskId, component });
+        }
+
+        const task = this.getTask(taskId);
+        addToTotals(task.totals, entry);
+        if (turn !== null) {
+            task.turns.push({
+                turn,
+                prompt_tokens: entry.prompt_tokens,
+                response_tokens: entry.response_tokens,
+                total_tokens: entry.total_tokens,
+            });
+        }
+        addToTotals(this.getDayTotals(entry.day), entry);
+
+        try {
+            fs.appendFileSync(this.filepath, JSON.stringify(entry) + '\n', 'utf-8');
+        } catch (error) {
+            this.logger.error('Failed to write usage ledger', { error: error.message });
+        }
+
+        return entry;
+    }
+
+    /**
+     * Whether a task may make another Gemini call. Returns { allowed, reason }.
+     */
+    checkBudget(taskId) {
+        const task = this.getTask(taskId).totals;
+        const today = this.getDayTotals();
+
+        const limits = [
+            { label: 'Task token budget', used: task.total_tokens, limit: config.taskTokenBudget, unit: 'tokens' },
+            { label: 'Task cost budget', used: task.cost_usd, limit: config.taskCostBudget, unit: 'USD' },
+            { label: 'Daily token budget', used: today.total_tokens, limit: config.dailyTokenBudget, unit: 'tokens' },
+            { label: 'Daily cost budget', used: today.cost_usd, limit: config.dailyCostBudget, unit: 'USD' },
+        ];
+
+        const exceeded = limits.find(({ used, limit }) => limit > 0 && used >= limit);
+        if (exceeded) {
+            const used = exceeded.unit === 'USD' ? exceeded.used.toFixed(4) : exceeded.used;
+            return {
+                allowed: false,
+                reason: `${exceeded.label} exceeded (${used} of ${exceeded.limit} ${exceeded.unit})`,
+            };
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Usage of a finished task, removed from the running tasks.
+     * Returns null when the task made no Gemini calls.
+     */
+    takeTaskUsage(taskId) {
+        const task = this.tasks.get(taskId);
+        this.tasks.delete(taskId);
+        if (!task || task.totals.calls === 0) {
+            return null;
+        }
+
+        return {
+            ...formatTotals(task.totals),
+            ...(task.turns.length > 0 && { turns: task.turns }),
+        };
+    }
+
+    /**
+     * Today's totals and the configured budgets
+     */
+    getStatus() {
+        const today = this.getDayTotals();
+
+        return {
+            day: getDay(),
+            today: formatTotals(today),
+            budgets: {
+                task_tokens: config.taskTokenBudget || null,
+                task_cost_usd: config.taskCostBudget || null,
+                daily_tokens: config.dailyTokenBudget || null,
+                daily_cost_usd: config.dailyCostBudget || null,
+            },
+            remaining_today: {
+                tokens: config.dailyTokenBudget ? Math.max(0, config.dailyTokenBudget - today.total_tokens) : null,
+                cost_usd: config.dailyCostBudget
+                    ? Math.round(Math.max(0, config.dailyCostBudget - today.cost_usd) * 10000) / 10000
+                    : null,
+            },
+        };
+    }
+}
+
+// Singleton instance
+let trackerInstance = null;
+
+export function getUsageTracker() {
+    if (!trackerInstance) {
+        trackerInstance = new UsageTracker();
+    }
+    return trackerInstance;
+}
+
+export default { UsageTracker, getUsageTracker };
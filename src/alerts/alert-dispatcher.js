@@ -0,0 +1,210 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config.js';
+import { createTaskLogger } from '../logger.js';
+import { TaskType } from '../schemas.js';
+import { getPriceHistoryStore, getProductKey } from '../output/price-history.js';
+import { createAlertChannels } from './channels.js';
+
+/**
+ * Alert types
+ */
+export const AlertType = {
+    THRESHOLD: 'threshold',
+    PRICE_DROP: 'price_drop',
+    RESTOCK: 'restock',
+};
+
+/**
+ * Alert Dispatcher - decides which results should alert and delivers them
+ * to every configured channel with retry/backoff
+ */
+export class AlertDispatcher {
+    constructor(channels = createAlertChannels(), filepath = path.join(config.dataDir, 'alerts_sent.json')) {
+        this.channels = channels;
+        this.filepath = filepath;
+        this.sent = this.loadSent();
+        // Dedupe keys of alerts still being delivered
+        this.pending = new Set();
+        this.logger = createTaskLogger('alert-dispatcher', 'AlertDispatcher');
+    }
+
+    /**
+     * Load de-duplication keys from disk
+     */
+    loadSent() {
+        if (!fs.existsSync(this.filepath)) {
+            return {};
+        }
+        try {
+            return JSON.parse(fs.readFileSync(this.filepath, 'utf-8'));
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * Write de-duplication keys to disk
+     */
+    saveSent() {
+        fs.writeFileSync(this.filepath, JSON.stringify(this.sent, null, 2), 'utf-8');
+    }
+
+    /**
+     * The same product at the same price only ever alerts once;
+     * a restock alerts once per sold-out observation it follows
+     */
+    dedupeKey(alert) {
+        if (alert.type === AlertType.RESTOCK) {
+            return `${alert.product_id}|restock|${alert.previous_seen_at}`;
+        }
+        return `${alert.product_id}|${alert.price}`;
+    }
+
+    /**
+     * Compare task results with the previous observation of each product.
+     * Must run before the results are recorded in price history. Nothing
+     * is evaluated while no channel is configured.
+     */
+    evaluate(task) {
+        const alerts = [];
+        if (this.channels.length === 0) {
+            return alerts;
+        }
+
+        const history = getPriceHistoryStore();
+        const maxPrice = task.parsedTask?.constraints?.max_price;
+        const minDiscount = task.parsedTask?.constraints?.min_discount_percent;
+        const targetCurrency = task.parsedTask?.constraints?.currency || null;
+        const isRestockTask = task.parsedTask?.task_type === TaskType.RESTOCK_MONITORING;
+
+        for (const result of task.results) {
+            if (!result.source_url || (!result.current_price && !result.restocked)) continue;
+
+            const { productId, store } = getProductKey(result);
+            const previous = history.getLatest(productId);
+            const sameCurrency = previous && previous.currency === result.currency;
+
+            let type = null;
+            let dropPercent = null;
+
+            // Sold out at the previous check, in stock now
+            if (isRestockTask && result.restocked) {
+                type = AlertType.RESTOCK;
+            }
+
+            // Newly meets the price or discount target
+            if (!isRestockTask && (maxPrice || minDiscount) && result.meets_criteria && !previous?.meets_criteria) {
+                type = AlertType.THRESHOLD;
+            }
+
+            // Dropped by the configured percentage since the last check
+            if (!type && !isRestockTask && sameCurrency && config.alerts.dropPercent > 0 && previous.price > result.current_price) {
+                const drop = ((previous.price - result.current_price) / previous.price) * 100;
+                if (drop >= config.alerts.dropPercent) {
+                    type = AlertType.PRICE_DROP;
+                    dropPercent = Math.round(drop * 10) / 10;
+                }
+            }
+
+            if (!type) continue;
+
+            const alert = {
+                id: uuidv4(),
+                type,
+                task_id: task.id,
+                query: task.originalQuery,
+                product_id: productId,
+                product_name: result.product_name,
+                store: result.store_name || store,
+                price: result.current_price,
+                currency: result.currency,
+                // The price in the query's currency, which max_price is checked against
+                converted_price: result.converted_price ?? null,
+                converted_currency: result.converted_currency || null,
+                previous_price: previous?.price ?? null,
+                previous_seen_at: previous?.timestamp ?? null,
+                size: result.selected_size || null,
+                max_price: maxPrice || null,
+                target_currency: targetCurrency,
+                original_price: result.original_price ?? null,
+                discount_percent: result.discount_percent ?? null,
+                min_discount_percent: minDiscount || null,
+                drop_percent: dropPercent,
+                source_url: result.source_url,
+                timestamp: new Date().toISOString(),
+            };
+
+            const key = this.dedupeKey(alert);
+            if (this.sent[key] || this.pending.has(key)) continue;
+
+            this.pending.add(key);
+            alerts.push(alert);
+        }
+
+        return alerts;
+    }
+
+    /**
+     * Deliver one alert to one channel, retrying with exponential backoff
+     */
+    async deliver(channel, alert) {
+        const logger = createTaskLogger(alert.task_id, 'AlertDispatcher');
+        const { maxRetries, retryBaseDelay } = config.alerts;
+
+        for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+            try {
+                await channel.send(alert);
+                logger.info('Alert delivered', { channel: channel.name, alertId: alert.id, attempt });
+                return true;
+            } catch (error) {
+                logger.warn('Alert delivery failed', {
+                    channel: channel.name,
+                    alertId: alert.id,
+                    attempt,
+                    error: error.message,
+                });
+
+                if (attempt <= maxRetries) {
+                    const delay = Math.pow(2, attempt - 1) * retryBaseDelay;
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        }
+
+        logger.error('Alert delivery gave up', { channel: channel.name, alertId: alert.id });
+        return false;
+    }
+
+    /**
+     * Deliver alerts to every channel. An alert only counts as sent once a
+     * channel accepted it; otherwise it can fire again on the next run.
+     */
+    async dispatch(alerts) {
+        for (const alert of alerts) {
+            const key = this.dedupeKey(alert);
+            const delivered = await Promise.all(
+                this.channels.map(channel => this.deliver(channel, alert))
+            );
+
+            this.pending.delete(key);
+            if (delivered.some(Boolean)) {
+                this.sent[key] = new Date().toISOString();
+                this.saveSent();
+            }
+        }
+    }
+}
+
+// Singleton instance
+let dispatcherInstance = null;
+
+export function getAlertDispatcher() {
+    if (!dispatcherInstance) {
+        dispatcherInstance = new AlertDispatcher();
+    }
+    return dispatcherInstance;
+}
+
+export default { AlertDispatcher, AlertType, getAlertDispatcher };
@@ -0,0 +1,136 @@
+import nodemailer from 'nodemailer';
+import config from '../config.js';
+
+/**
+ * Format a price with its currency code
+ */
+function formatPrice(amount, currency) {
+    if (amount === null || amount === undefined) return 'N/A';
+    return `${amount.toFixed(2)} ${currency || ''}`.trim();
+}
+
+/**
+ * Build a one-line human readable alert message
+ */
+export function formatAlertMessage(alert) {
+    let price = formatPrice(alert.price, alert.currency);
+    if (alert.converted_currency && alert.converted_currency !== alert.currency && alert.converted_price !== null) {
+        price += ` ≈ ${formatPrice(alert.converted_price, alert.converted_currency)}`;
+    }
+
+    if (alert.type === 'restock') {
+        const size = alert.size ? ` in size ${alert.size}` : '';
+        const restockPrice = alert.price ? ` at ${price}` : '';
+        return `Back in stock: ${alert.product_name}${size} at ${alert.store}${restockPrice}`;
+    }
+
+    if (alert.type === 'price_drop') {
+        return `Price drop: ${alert.product_name} at ${alert.store} is now ${price} ` +
+            `(was ${formatPrice(alert.previous_price, alert.currency)}, -${alert.drop_percent}%)`;
+    }
+
+    const targets = [];
+    if (alert.max_price) {
+        targets.push(`target ${formatPrice(alert.max_price, alert.target_currency || alert.converted_currency || alert.currency)}`);
+    }
+    if (alert.min_discount_percent) {
+        targets.push(`${alert.discount_percent}% off, target ${alert.min_discount_percent}%`);
+    }
+
+    return `Price alert: ${alert.product_name} at ${alert.store} is now ${price} (${targets.join(', ')})`;
+}
+
+/**
+ * POST a JSON body, throwing on non-2xx responses
+ */
+async function postJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(10000),
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+}
+
+/**
+ * Generic JSON webhook - posts the full alert payload
+ */
+export class WebhookChannel {
+    constructor(url) {
+        this.name = 'webhook';
+        this.url = url;
+    }
+
+    async send(alert) {
+        await postJson(this.url, { event: 'price_alert', alert });
+    }
+}
+
+/**
+ * Slack-compatible incoming webhook
+ */
+export class SlackChannel {
+    constructor(url) {
+        this.name = 'slack';
+        this.url = url;
+    }
+
+    async send(alert) {
+        await postJson(this.url, {
+            text: `${formatAlertMessage(alert)}\n<${alert.source_url}|View product>`,
+        });
+    }
+}
+
+/**
+ * SMTP email channel
+ */
+export class EmailChannel {
+    constructor(smtp) {
+        this.name = 'email';
+        this.from = smtp.from;
+        this.to = smtp.to;
+        this.transport = nodemailer.createTransport({
+            host: smtp.host,
+            port: smtp.port,
+            secure: smtp.secure,
+            auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+        });
+    }
+
+    async send(alert) {
+        const message = formatAlertMessage(alert);
+        await this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: message,
+            text: `${message}\n\nQuery: ${alert.query}\nProduct: ${alert.source_url}\nChecked at: ${alert.timestamp}`,
+        });
+    }
+}
+
+/**
+ * Create the channels enabled in configuration
+ */
+export function createAlertChannels() {
+    const channels = [];
+    const { webhookUrl, slackWebhookUrl, smtp } = config.alerts;
+
+    if (webhookUrl) {
+        channels.push(new WebhookChannel(webhookUrl));
+    }
+    if (slackWebhookUrl) {
+        channels.push(new SlackChannel(slackWebhookUrl));
+    }
+    if (smtp.host && smtp.to) {
+        channels.push(new EmailChannel(smtp));
+    }
+
+    return channels;
+}
+
+export default { WebhookChannel, SlackChannel, EmailChannel, createAlertChannels, formatAlertMessage };
@@ -0,0 +1,183 @@
+import { chromium } from 'playwright';
+import config from '../config.js';
+import { createTaskLogger } from '../logger.js';
+
+/**
+ * Launch arguments shared by every agent using the pool
+ */
+const LAUNCH_ARGS = [
+    '--disable-blink-features=AutomationControlled',
+    '--disable-dev-shm-usage',
+    '--no-sandbox',
+];
+
+/**
+ * Browser Pool - one shared Chromium instance handing out isolated contexts.
+ * The number of open contexts is capped; callers wait for a free slot.
+ * The browser is launched on first use and closed after sitting idle.
+ */
+export class BrowserPool {
+    constructor({
+        maxContexts = config.browserPoolMaxContexts,
+        idleTimeout = config.browserPoolIdleTimeout,
+    } = {}) {
+        this.logger = createTaskLogger('browser-pool', 'BrowserPool');
+        this.maxContexts = maxContexts;
+        this.idleTimeout = idleTimeout;
+        this.browser = null;
+        this.launching = null;
+        this.contexts = new Set();
+        this.active = 0;
+        this.waiters = [];
+        this.idleTimer = null;
+    }
+
+    /**
+     * Get the shared browser, launching it if needed
+     */
+    async getBrowser() {
+        if (this.browser?.isConnected()) {
+            return this.browser;
+        }
+
+        if (!this.launching) {
+            this.launching = chromium.launch({
+                headless: config.headless,
+                slowMo: config.debugMode ? 100 : config.slowMo,
+                args: LAUNCH_ARGS,
+            }).then(browser => {
+                this.browser = browser;
+                browser.on('disconnected', () => {
+                    if (this.browser === browser) {
+                        this.browser = null;
+                    }
+                });
+                this.logger.info('Shared browser launched');
+                return browser;
+            }).finally(() => {
+                this.launching = null;
+            });
+        }
+
+        return this.launching;
+    }
+
+    /**
+     * Wait for a free context slot. A released slot is handed straight
+     * to the next waiter so the cap is never exceeded.
+     */
+    async acquireSlot() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+
+        if (this.active < this.maxContexts) {
+            this.active++;
+            return;
+        }
+
+        await new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    /**
+     * Give a context slot back
+     */
+    releaseSlot() {
+        const next = this.waiters.shift();
+        if (next) {
+            next();
+            return;
+        }
+
+        this.active--;
+        if (this.active === 0) {
+            this.scheduleIdleClose();
+        }
+    }
+
+    /**
+     * Open an isolated browser context
+     */
+    async acquireContext(options = {}) {
+        await this.acquireSlot();
+
+        try {
+            const browser = await this.getBrowser();
+            const context = await browser.newContext(options);
+            this.contexts.add(context);
+            return context;
+        } catch (error) {
+            this.releaseSlot();
+            throw error;
+        }
+    }
+
+    /**
+     * Close a context opened by acquireContext and free its slot
+     */
+    async releaseContext(context) {
+        if (!context || !this.contexts.has(context)) {
+            return;
+        }
+
+        this.contexts.delete(context);
+        await context.close().catch(error => {
+            this.logger.debug('Context close failed', { error: error.message });
+        });
+        this.releaseSlot();
+    }
+
+    /**
+     * Close the browser once no context has been used for idleTimeout
+     */
+    scheduleIdleClose() {
+        if (!this.idleTimeout) return;
+
+        this.idleTimer = setTimeout(async () => {
+            this.idleTimer = null;
+            if (this.active === 0 && this.browser) {
+                this.logger.info('Closing idle shared browser');
+                await this.closeBrowser();
+            }
+        }, this.idleTimeout);
+        this.idleTimer.unref();
+    }
+
+    /**
+     * Close the shared browser. Contexts still held are closed with it;
+     * their slots are freed when the holders release them.
+     */
+    async closeBrowser() {
+        const browser = this.browser;
+        this.browser = null;
+
+        if (browser) {
+            await browser.close().catch(error => {
+                this.logger.debug('Browser close failed', { error: error.message });
+            });
+        }
+    }
+
+    /**
+     * Describe the pool state
+     */
+    getStatus() {
+        return {
+            connected: Boolean(this.browser?.isConnected()),
+            active_contexts: this.active,
+            waiting: this.waiters.length,
+            max_contexts: this.maxContexts,
+        };
+    }
+}
+
+// Singleton instance
+let poolInstance = null;
+
+export function getBrowserPool() {
+    if (!poolInstance) {
+        poolInstance = new BrowserPool();
+    }
+    return poolInstance;
+}
+
+export default { BrowserPool, getBrowserPool };
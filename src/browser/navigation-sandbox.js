@@ -0,0 +1,187 @@
+import config from '../config.js';
+import { createTaskLogger } from '../logger.js';
+
+/**
+ * Path segments (or leading host labels) of pages the Computer Use agent must
+ * never open, used when sites.yaml does not list computer_use.blocked_segments
+ */
+const DEFAULT_BLOCKED_SEGMENTS = [
+    'checkout', 'cart', 'basket', 'bag', 'payment',
+    'account', 'accounts', 'myaccount', 'login', 'signin', 'sign-in', 'register',
+];
+
+/**
+ * Normalize a domain entry ("www.zalando.de", "https://asos.com/") to a bare hostname
+ */
+function normalizeDomain(domain) {
+    const value = String(domain || '').trim().toLowerCase();
+    if (!value) return null;
+
+    try {
+        return new URL(value.includes('://') ? value : `https://${value}`).hostname.replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Domains a task may visit: every site in sites.yaml, the task's own
+ * sources (including unknown sites and direct URLs) and any extra
+ * domains listed under computer_use.allowed_domains
+ */
+export function buildAllowedDomains(parsedTask) {
+    const { sites = {}, computer_use: sandboxConfig = {} } = config.sites;
+    const domains = new Set();
+
+    const add = domain => {
+        const hostname = normalizeDomain(domain);
+        if (hostname) domains.add(hostname);
+    };
+
+    Object.values(sites).forEach(site => (site.domains || []).forEach(add));
+    (sandboxConfig.allowed_domains || []).forEach(add);
+
+    for (const source of parsedTask?.sources?.sites || []) {
+        if (sites[source]) {
+            (sites[source].domains || []).forEach(add);
+        } else if (source.includes('.')) {
+            add(source);
+        }
+    }
+    if (parsedTask?.sources?.url) {
+        add(parsedTask.sources.url);
+    }
+
+    return [...domains];
+}
+
+/**
+ * Navigation Sandbox - keeps the Computer Use agent on the allowed
+ * domains and away from checkout, cart and account pages. Navigations are
+ * checked before `navigate` actions and intercepted at the context, so
+ * clicks that leave the sandbox are aborted too; pages reached through
+ * redirects are caught after the action and left again.
+ */
+export class NavigationSandbox {
+    constructor(parsedTask, taskId = 'sandbox') {
+        this.logger = createTaskLogger(taskId, 'NavigationSandbox');
+        this.allowedDomains = buildAllowedDomains(parsedTask);
+        this.blockedSegments = (config.sites.computer_use?.blocked_segments || DEFAULT_BLOCKED_SEGMENTS)
+            .map(segment => segment.toLowerCase());
+        this.refusals = [];
+    }
+
+    /**
+     * Whether a hostname is an allowed domain or one of its subdomains
+     */
+    isAllowedHost(hostname) {
+        const host = hostname.toLowerCase().replace(/^www\./, '');
+        return this.allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    }
+
+    /**
+     * Check a URL. Returns { allowed, reason }.
+     */
+    check(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return { allowed: false, reason: `"${url}" is not a valid URL` };
+        }
+
+        // Blank and internal pages never leave the browser
+        if (parsed.protocol === 'about:') {
+            return { allowed: true, reason: null };
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return { allowed: false, reason: `${parsed.protocol} URLs are not allowed` };
+        }
+
+        if (!this.isAllowedHost(parsed.hostname)) {
+            return { allowed: false, reason: `${parsed.hostname} is not one of the allowed shopping sites` };
+        }
+
+        const hostLabel = parsed.hostname.split('.')[0].toLowerCase();
+        const segments = parsed.pathname.toLowerCase().split('/')
+            .map(segment => segment.replace(/\.[a-z]+$/, ''));
+        const blocked = [hostLabel, ...segments].find(segment => this.blockedSegments.includes(segment));
+        if (blocked) {
+            return { allowed: false, reason: `${blocked} pages are off limits` };
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Record a refused navigation so it can be reported back to the model
+     */
+    refuse(url, reason) {
+        this.logger.warn('Navigation refused', { url, reason });
+        this.refusals.push({ url, reason });
+    }
+
+    /**
+     * Take the refusals recorded since the last call
+     */
+    takeRefusals() {
+        const refusals = this.refusals;
+        this.refusals = [];
+        return refusals;
+    }
+
+    /**
+     * Abort navigations that leave the sandbox in every page of the
+     * context, iframes included, so an embedded payment or login frame on
+     * an allowed page is not loaded either. Only top-level refusals are
+     * reported to the model; blocked frames are logged. Subresources
+     * (images, scripts, CDNs) are not filtered.
+     */
+    async attach(context) {
+        await context.route('**/*', route => {
+            const request = route.request();
+
+            if (request.isNavigationRequest()) {
+                const verdict = this.check(request.url());
+                if (!verdict.allowed) {
+                    if (request.frame().parentFrame()) {
+                        this.logger.info('Frame navigation blocked', { url: request.url(), reason: verdict.reason });
+                    } else {
+                        this.refuse(request.url(), verdict.reason);
+                    }
+                    return route.abort('blockedbyclient');
+                }
+            }
+
+            return route.continue();
+        });
+    }
+
+    /**
+     * Leave the current page if it is outside the sandbox (e.g. reached
+     * through a redirect, which routing does not see)
+     */
+    async enforce(page) {
+        const url = page.url();
+        const verdict = this.check(url);
+        if (verdict.allowed) return;
+
+        this.refuse(url, verdict.reason);
+        await page.goBack({ waitUntil: 'domcontentloaded' }).catch(() => null);
+        if (!this.check(page.url()).allowed) {
+            await page.goto('about:blank');
+        }
+    }
+
+    /**
+     * Message explaining refused actions to the model
+     */
+    formatRefusal(refusals) {
+        const reasons = refusals.map(refusal => `${refusal.url}: ${refusal.reason}`).join('; ');
+        return `Action refused, the page was not opened (${reasons}). ` +
+            `Stay on the allowed shopping sites (${this.allowedDomains.join(', ')}) ` +
+            'and never open cart, checkout, login or account pages. Read the price from product or search pages instead.';
+    }
+}
+
+export default { NavigationSandbox, buildAllowedDomains };
@@ -0,0 +1,214 @@
+import config from '../config.js';
+import { createTaskLogger } from '../logger.js';
+import { extractSiteName } from '../validation/normalizers.js';
+
+/**
+ * Politeness settings used when neither the site nor sites.yaml defaults set them
+ */
+const DEFAULT_POLITENESS = {
+    burst: 1,             // navigations allowed back to back before rate_limit applies
+    jitter: 0.2,          // random extra wait, as a fraction of the interval
+    backoff_factor: 2,    // interval multiplier after each 429/403
+    max_backoff: 8,       // cap on the interval multiplier
+    cooldown: 60000,      // ms without navigations after a 429/403 (Retry-After wins if longer)
+};
+
+/**
+ * Responses that mean the site wants us to slow down
+ */
+const THROTTLE_STATUS_CODES = [403, 429];
+
+/**
+ * Politeness settings for a site: built-in defaults, then sites.yaml defaults, then the site
+ */
+export function getPolitenessConfig(siteConfig) {
+    return {
+        ...DEFAULT_POLITENESS,
+        ...(config.sites.defaults?.politeness || {}),
+        ...(siteConfig?.politeness || {}),
+    };
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) return 0;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/**
+ * Politeness Scheduler - process-wide per-domain token buckets. Every
+ * navigation takes a token from its site's bucket, which refills one
+ * token per rate_limit. 429/403 responses stretch the interval and pause
+ * the domain; successful responses relax it again.
+ */
+export class PolitenessScheduler {
+    constructor() {
+        this.logger = createTaskLogger('politeness', 'PolitenessScheduler');
+        this.buckets = new Map();
+    }
+
+    /**
+     * Get the bucket for a URL, keyed by site (or hostname for unknown sites)
+     */
+    getBucket(url) {
+        const domain = extractSiteName(url);
+        if (!domain) return null;
+
+        if (!this.buckets.has(domain)) {
+            const siteConfig = config.sites.sites?.[domain];
+            const settings = getPolitenessConfig(siteConfig);
+
+            this.buckets.set(domain, {
+                domain,
+                rateLimit: siteConfig?.rate_limit || config.defaultRateLimit,
+                settings,
+                tokens: settings.burst,
+                updatedAt: Date.now(),
+                crawlDelay: 0,
+                backoff: 1,
+                cooldownUntil: 0,
+                requests: 0,
+                throttled: 0,
+            });
+        }
+
+        return this.buckets.get(domain);
+    }
+
+    /**
+     * Current interval between navigations: rate_limit or robots.txt
+     * Crawl-delay, whichever is longer, times the slow-down
+     */
+    getInterval(bucket) {
+        return Math.max(bucket.rateLimit, bucket.crawlDelay) * bucket.backoff;
+    }
+
+    /**
+     * Apply a site's robots.txt Crawl-delay (ms) to its bucket
+     */
+    setCrawlDelay(url, delay) {
+        const bucket = this.getBucket(url);
+        if (bucket && delay !== bucket.crawlDelay) {
+            this.refill(bucket);
+            bucket.crawlDelay = delay;
+        }
+    }
+
+    /**
+     * Add the tokens earned since the last update. Nothing is earned while
+     * the domain cools down, so queued navigations stay spaced afterwards.
+     */
+    refill(bucket, now = Date.now()) {
+        const earned = Math.max(0, now - Math.max(bucket.updatedAt, bucket.cooldownUntil)) / this.getInterval(bucket);
+        bucket.tokens = Math.min(bucket.settings.burst, bucket.tokens + earned);
+        bucket.updatedAt = now;
+    }
+
+    /**
+     * Wait for a navigation slot on the URL's domain. Concurrent callers
+     * reserve tokens in turn, so the bucket may go negative while they queue;
+     * the debt is paid off one interval at a time from the end of any cooldown.
+     * Returns the time waited in ms.
+     */
+    async acquire(url) {
+        const bucket = this.getBucket(url);
+        if (!bucket) return 0;
+
+        const now = Date.now();
+        this.refill(bucket, now);
+        bucket.tokens -= 1;
+        bucket.requests++;
+
+        const interval = this.getInterval(bucket);
+        let delay = Math.max(0, bucket.cooldownUntil - now) +
+            (bucket.tokens < 0 ? -bucket.tokens * interval : 0);
+        if (delay > 0) {
+            delay += Math.random() * bucket.settings.jitter * interval;
+        }
+
+        delay = Math.round(delay);
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        return delay;
+    }
+
+    /**
+     * Record a navigation response. 429/403 slow the domain down and pause it;
+     * other responses step the slow-down back towards normal.
+     */
+    report(url, statusCode, retryAfter = null) {
+        const bucket = this.getBucket(url);
+        if (!bucket || !statusCode) return;
+
+        const { settings } = bucket;
+        this.refill(bucket);
+
+        if (THROTTLE_STATUS_CODES.includes(statusCode)) {
+            bucket.throttled++;
+            bucket.backoff = Math.min(settings.max_backoff, bucket.backoff * settings.backoff_factor);
+            bucket.cooldownUntil = Math.max(
+                bucket.cooldownUntil,
+                Date.now() + Math.max(settings.cooldown, parseRetryAfter(retryAfter))
+            );
+            bucket.tokens = Math.min(bucket.tokens, 0);
+
+            this.logger.warn('Domain throttled, slowing down', {
+                domain: bucket.domain,
+                statusCode,
+                interval: this.getInterval(bucket),
+                cooldownUntil: new Date(bucket.cooldownUntil).toISOString(),
+            });
+        } else if (statusCode < 400 && bucket.backoff > 1) {
+            bucket.backoff = Math.max(1, bucket.backoff / settings.backoff_factor);
+        }
+    }
+
+    /**
+     * Budget and cooldown of every domain seen so far
+     */
+    getStatus() {
+        const now = Date.now();
+
+        return [...this.buckets.values()].map(bucket => {
+            this.refill(bucket, now);
+            const interval = this.getInterval(bucket);
+
+            return {
+                domain: bucket.domain,
+                rate_limit: bucket.rateLimit,
+                crawl_delay: bucket.crawlDelay || null,
+                interval,
+                backoff: bucket.backoff,
+                tokens: Math.round(bucket.tokens * 100) / 100,
+                burst: bucket.settings.burst,
+                next_slot_ms: Math.round(Math.max(0, bucket.cooldownUntil - now) +
+                    (bucket.tokens < 1 ? (1 - bucket.tokens) * interval : 0)),
+                cooldown_until: bucket.cooldownUntil > now ? new Date(bucket.cooldownUntil).toISOString() : null,
+                requests: bucket.requests,
+                throttled_responses: bucket.throttled,
+            };
+        });
+    }
+}
+
+// Singleton instance
+let schedulerInstance = null;
+
+export function getPolitenessScheduler() {
+    if (!schedulerInstance) {
+        schedulerInstance = new PolitenessScheduler();
+    }
+    return schedulerInstance;
+}
+
+export default { PolitenessScheduler, getPolitenessConfig, getPolitenessScheduler };
@@ -43,6 +43,13 @@ export const config = {
     // Default model for intent parsing; Computer Use agent uses gemini-2.5-computer-use-preview-10-2025
     geminiModel: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
 
+    // Intent parsing provider: gemini, openai (any OpenAI-compatible endpoint) or mock
+    llmProvider: process.env.LLM_PROVIDER || 'gemini',
+    // OpenAI-compatible endpoint, e.g. http://localhost:11434/v1 (Ollama) or http://localhost:8080/v1 (llama.cpp)
+    openaiBaseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    openaiApiKey: process.env.OPENAI_API_KEY || '',
+    openaiModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+
     // Modes
     dryRun: process.env.DRY_RUN === 'true',
     debugMode: process.env.DEBUG_MODE === 'true',
@@ -50,10 +57,22 @@ export const config = {
     // Browser
     headless: process.env.HEADLESS !== 'false',
     slowMo: parseInt(process.env.SLOW_MO || '0', 10),
+    // Shared browser pool: open contexts across all tasks, and idle time before the browser closes
+    browserPoolMaxContexts: parseInt(process.env.BROWSER_POOL_MAX_CONTEXTS || '4', 10),
+    browserPoolIdleTimeout: parseInt(process.env.BROWSER_POOL_IDLE_TIMEOUT || '300000', 10),
+    // Sites searched at the same time within one task
+    maxConcurrentSites: parseInt(process.env.MAX_CONCURRENT_SITES || '3', 10),
+    // Products of a comparison searched at the same time
+    maxConcurrentProducts: parseInt(process.env.MAX_CONCURRENT_PRODUCTS || '3', 10),
 
     // Rate limiting
     defaultRateLimit: parseInt(process.env.DEFAULT_RATE_LIMIT || '5000', 10),
 
+    // Crawl policy: robots.txt is evaluated for this user agent token and cached per origin
+    respectRobotsTxt: process.env.RESPECT_ROBOTS_TXT !== 'false',
+    robotsUserAgent: process.env.ROBOTS_USER_AGENT || 'PriceMonitor',
+    robotsCacheHours: parseInt(process.env.ROBOTS_CACHE_HOURS || '24', 10),
+
     // Logging
     logLevel: process.env.LOG_LEVEL || 'info',
 
@@ -62,6 +81,7 @@ export const config = {
     outputsDir: ensureDir(path.join(ROOT_DIR, 'outputs')),
     resultsDir: ensureDir(path.join(ROOT_DIR, 'outputs', 'results')),
     screenshotsDir: ensureDir(path.join(ROOT_DIR, 'outputs', 'screenshots')),
+    trajectoriesDir: ensureDir(path.join(ROOT_DIR, 'outputs', 'trajectories')),
     logsDir: ensureDir(path.join(ROOT_DIR, 'logs')),
     dataDir: ensureDir(path.join(ROOT_DIR, 'data')),
 
@@ -69,9 +89,18 @@ export const config = {
     sites: loadYamlConfig('sites.yaml') || { sites: {} },
     brands: loadYamlConfig('brands.yaml') || { brands: {} },
     currencies: loadYamlConfig('currencies.yaml') || { currencies: {} },
+    exchangeRates: loadYamlConfig('exchange-rates.yaml') || { base: 'EUR', rates: { EUR: 1 } },
+
+    // Optional live exchange rate source returning {"base": "EUR", "rates": {...}}
+    exchangeRatesUrl: process.env.EXCHANGE_RATES_URL || '',
+    exchangeRatesRefreshHours: parseInt(process.env.EXCHANGE_RATES_REFRESH_HOURS || '12', 10),
 
     // Validation thresholds
     minConfidence: 0.6,
+    // Results whose name matches the requested product below this score are flagged or dropped
+    minMatchScore: parseFloat(process.env.MIN_MATCH_SCORE || '0.6'),
+    // 'flag' keeps low matches (never meeting criteria), 'filter' removes them
+    matchMode: process.env.MATCH_MODE === 'filter' ? 'filter' : 'flag',
     maxRetries: 3,
     // Legacy timeout for non-Computer Use requests
     requestTimeout: 30000,
@@ -83,6 +112,49 @@ export const config = {
     // Intent parsing: 4s + Browser init: 5s + (turns × 13s/turn) + 30s margin
     // For 20 turns: 4 + 5 + (20 × 13) + 30 = 299s ≈ 300s (5 min)
     computerUseTimeout: parseInt(process.env.COMPUTER_USE_TIMEOUT || '300000', 10),
+    // Screenshots kept inline in the Computer Use conversation (0 = all); older ones become text summaries
+    computerUseScreenshotHistory: parseInt(process.env.COMPUTER_USE_SCREENSHOT_HISTORY || '3', 10),
+    // Encoding of screenshots sent to the model: png or jpeg, JPEG quality, and downscale factor (0.1-1)
+    computerUseScreenshotFormat: process.env.COMPUTER_USE_SCREENSHOT_FORMAT || 'png',
+    computerUseScreenshotQuality: parseInt(process.env.COMPUTER_USE_SCREENSHOT_QUALITY || '70', 10),
+    computerUseScreenshotScale: parseFloat(process.env.COMPUTER_USE_SCREENSHOT_SCALE || '1'),
+    // How long an action flagged for confirmation waits for a user decision before it is denied
+    confirmationTimeout: parseInt(process.env.CONFIRMATION_TIMEOUT || '120000', 10),
+
+    // Gemini budgets per task and per UTC day, in tokens and estimated USD (0 = unlimited)
+    taskTokenBudget: parseInt(process.env.TASK_TOKEN_BUDGET || '0', 10),
+    taskCostBudget: parseFloat(process.env.TASK_COST_BUDGET || '0'),
+    dailyTokenBudget: parseInt(process.env.DAILY_TOKEN_BUDGET || '0', 10),
+    dailyCostBudget: parseFloat(process.env.DAILY_COST_BUDGET || '0'),
+
+    // How long finished tasks stay available through the API
+    taskRetentionHours: parseInt(process.env.TASK_RETENTION_HOURS || '168', 10),
+
+    // Watch scheduler
+    watchesEnabled: process.env.WATCHES_ENABLED !== 'false',
+    // How often the scheduler checks for due watches
+    watchTickInterval: parseInt(process.env.WATCH_TICK_INTERVAL || '30000', 10),
+    // Lower bound for interval watches to stay polite with target sites
+    watchMinIntervalMinutes: parseInt(process.env.WATCH_MIN_INTERVAL_MINUTES || '15', 10),
+
+    // Alerts
+    alerts: {
+        // Fire when price drops by at least this percentage vs. the previous observation (0 = off)
+        dropPercent: parseFloat(process.env.ALERT_DROP_PERCENT || '0'),
+        maxRetries: parseInt(process.env.ALERT_MAX_RETRIES || '3', 10),
+        retryBaseDelay: parseInt(process.env.ALERT_RETRY_BASE_DELAY || '1000', 10),
+        webhookUrl: process.env.ALERT_WEBHOOK_URL || '',
+        slackWebhookUrl: process.env.ALERT_SLACK_WEBHOOK_URL || '',
+        smtp: {
+            host: process.env.SMTP_HOST || '',
+            port: parseInt(process.env.SMTP_PORT || '587', 10),
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || '',
+            pass: process.env.SMTP_PASS || '',
+            from: process.env.ALERT_EMAIL_FROM || '',
+            to: process.env.ALERT_EMAIL_TO || '',
+        },
+    },
 };
 
 /**
@@ -91,7 +163,12 @@ export const config = {
 export function validateConfig() {
     const errors = [];
 
-    if (!config.geminiApiKey && !config.dryRun) {
+    if (!['gemini', 'openai', 'mock'].includes(config.llmProvider)) {
+        errors.push(`LLM_PROVIDER must be gemini, openai or mock (got "${config.llmProvider}")`);
+    }
+
+    // Gemini runs intent parsing by default and always drives Computer Use
+    if (!config.geminiApiKey && !config.dryRun && (config.llmProvider === 'gemini' || config.useComputerUse)) {
         errors.push('GEMINI_API_KEY is required for production mode');
     }
 
@@ -0,0 +1,143 @@
+import config from '../config.js';
+import { parsePrice } from '../validation/normalizers.js';
+import { scoreProductMatch } from '../validation/product-matcher.js';
+
+/**
+ * Fallback limits when neither the site nor the defaults configure them
+ */
+const DEFAULT_SEARCH_RESULTS = {
+    max_results: 10,
+    verify_top: 1,
+};
+
+/**
+ * Fallback pagination: a single page
+ */
+const DEFAULT_PAGINATION = {
+    mode: 'none',
+    max_pages: 1,
+    min_relevance: 0.4,
+    scroll_delay: 1500,
+};
+
+/**
+ * Pagination modes
+ */
+export const PaginationMode = {
+    NONE: 'none',
+    NEXT_BUTTON: 'next_button',
+    URL_TEMPLATE: 'url_template',
+    INFINITE_SCROLL: 'infinite_scroll',
+};
+
+/**
+ * Resolve search-page limits for a site (site overrides defaults)
+ */
+export function getSearchResultsConfig(siteConfig) {
+    return {
+        ...DEFAULT_SEARCH_RESULTS,
+        ...(config.sites.defaults?.search_results || {}),
+        ...(siteConfig?.search_results || {}),
+    };
+}
+
+/**
+ * Resolve pagination settings for a site (site overrides defaults)
+ */
+export function getPaginationConfig(siteConfig) {
+    return {
+        ...DEFAULT_PAGINATION,
+        ...(config.sites.defaults?.pagination || {}),
+        ...(siteConfig?.pagination || {}),
+    };
+}
+
+/**
+ * Count result tiles currently rendered on a search page
+ */
+export async function countSearchTiles(page, selectors) {
+    if (!selectors?.result_container) {
+        return 0;
+    }
+    return page.$$eval(selectors.result_container, tiles => tiles.length);
+}
+
+/**
+ * Read the raw text and link of every result tile on a search page
+ */
+export async function collectSearchTiles(page, selectors, limit) {
+    if (!selectors?.result_container) {
+        return [];
+    }
+
+    return page.$$eval(selectors.result_container, (tiles, { selectors, limit }) => {
+        const text = (tile, selector) => {
+            if (!selector) return null;
+            const el = tile.querySelector(selector);
+            return el ? el.textContent.trim() : null;
+        };
+
+        return tiles.slice(0, limit).map(tile => {
+            const linkEl = (selectors.product_link && tile.querySelector(selectors.product_link)) ||
+                tile.querySelector('a[href]') ||
+                (tile.tagName === 'A' ? tile : null);
+
+            return {
+                name: text(tile, selectors.product_name),
+                price: text(tile, selectors.price),
+                original_price: text(tile, selectors.original_price),
+                href: linkEl ? linkEl.getAttribute('href') : null,
+            };
+        });
+    }, { selectors, limit });
+}
+
+/**
+ * Turn raw tiles into priced candidates with absolute URLs
+ */
+export function parseSearchTiles(rawTiles, baseUrl) {
+    const tiles = [];
+
+    for (const raw of rawTiles) {
+        const { amount, currency } = parsePrice(raw.price);
+        if (!amount || !raw.href) continue;
+
+        let url;
+        try {
+            url = new URL(raw.href, baseUrl).href;
+        } catch {
+            continue;
+        }
+
+        const originalPrice = parsePrice(raw.original_price).amount;
+
+        tiles.push({
+            product_name: raw.name || 'Unknown',
+            price: amount,
+            currency,
+            original_price: originalPrice > amount ? originalPrice : null,
+            url,
+        });
+    }
+
+    return tiles;
+}
+
+/**
+ * Rank tiles by relevance to the product, cheapest first among equals
+ */
+export function rankSearchTiles(tiles, product) {
+    return tiles
+        .map(tile => ({ ...tile, relevance: scoreProductMatch(tile.product_name, product).score }))
+        .sort((a, b) => b.relevance - a.relevance || a.price - b.price);
+}
+
+export default {
+    PaginationMode,
+    getSearchResultsConfig,
+    getPaginationConfig,
+    countSearchTiles,
+    collectSearchTiles,
+    parseSearchTiles,
+    rankSearchTiles,
+};
@@ -0,0 +1,122 @@
+import { normalizeSize } from '../validation/normalizers.js';
+
+/**
+ * Options inside a size picker, when the site does not configure size_option
+ */
+const DEFAULT_SIZE_OPTIONS = '[role="option"], option, li, button';
+
+/**
+ * Text that marks a size option as unavailable
+ */
+const UNAVAILABLE_TEXT = /sold\s*out|out of stock|unavailable|notify me|agotado|ausverkauft|épuisé|esaurito|esgotado/gi;
+
+/**
+ * A single size value: 42, 42.5, 42 2/3, XS-XXXL
+ */
+const SIZE_TOKEN = /^(?:\d{1,2}(?:[.,]\d)?(?:\s?(?:½|⅓|⅔|1\/2|1\/3|2\/3))?|X{0,3}S|M|X{0,3}L|\dXL|ONE SIZE)$/i;
+
+/**
+ * Reduce a size option label ("EU 42 - Sold out", "Medium") to a size key
+ */
+export function normalizeSizeLabel(label) {
+    const cleaned = String(label ?? '')
+        .replace(UNAVAILABLE_TEXT, ' ')
+        .replace(/^\s*(?:size|eu|uk|us)\b\s*:?\s*/i, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!cleaned) return null;
+
+    for (const candidate of [cleaned, cleaned.split(/[\s,(–-]/)[0]]) {
+        const size = normalizeSize(candidate.replace(',', '.'));
+        if (SIZE_TOKEN.test(size)) return size;
+    }
+    return null;
+}
+
+/**
+ * Build a size -> availability map from structured data offers.
+ * A size is in stock if any of its offers is.
+ */
+export function sizesFromOffers(offers) {
+    const sizes = {};
+
+    for (const offer of offers || []) {
+        const size = normalizeSizeLabel(offer.size);
+        if (!size) continue;
+        if (sizes[size] !== 'in_stock') {
+            sizes[size] = offer.availability;
+        }
+    }
+
+    return sizes;
+}
+
+/**
+ * Build a size -> availability map from size picker options
+ */
+export function sizesFromOptions(options) {
+    const sizes = {};
+
+    for (const option of options) {
+        const size = normalizeSizeLabel(option.label);
+        if (!size) continue;
+        if (sizes[size] !== 'in_stock') {
+            sizes[size] = option.available ? 'in_stock' : 'out_of_stock';
+        }
+    }
+
+    return sizes;
+}
+
+/**
+ * Availability of the requested size. A size missing from a non-empty
+ * map is not offered, so it counts as out of stock.
+ */
+export function resolveSizeAvailability(sizes, size) {
+    const key = normalizeSizeLabel(size);
+    if (!key || !sizes || Object.keys(sizes).length === 0) {
+        return 'unknown';
+    }
+    return sizes[key] || 'out_of_stock';
+}
+
+/**
+ * Read the label and state of every option in an (opened) size picker
+ */
+export async function collectSizeOptions(page, selectors) {
+    if (!selectors?.size_selector) {
+        return [];
+    }
+
+    const optionSelector = selectors.size_option ||
+        DEFAULT_SIZE_OPTIONS.split(',').map(option => `${selectors.size_selector} ${option.trim()}`).join(', ');
+
+    return page.$$eval(optionSelector, (options, unavailableSource) => {
+        const unavailable = new RegExp(unavailableSource, 'i');
+
+        return options.map(el => {
+            const text = el.textContent || '';
+            const ariaLabel = el.getAttribute('aria-label') || '';
+            const classes = typeof el.className === 'string' ? el.className : '';
+
+            return {
+                label: text.trim() || ariaLabel,
+                available: !(
+                    el.disabled ||
+                    el.getAttribute('aria-disabled') === 'true' ||
+                    /disabled|unavailable|sold-?out|out-?of-?stock/i.test(classes) ||
+                    unavailable.test(text) ||
+                    unavailable.test(ariaLabel)
+                ),
+            };
+        });
+    }, UNAVAILABLE_TEXT.source);
+}
+
+export default {
+    normalizeSizeLabel,
+    sizesFromOffers,
+    sizesFromOptions,
+    resolveSizeAvailability,
+    collectSizeOptions,
+};
@@ -0,0 +1,289 @@
+import { normalizeCurrency } from '../validation/normalizers.js';
+import { parsePrice } from '../validation/price-parser.js';
+
+/**
+ * Map schema.org ItemAvailability values to our availability enum
+ */
+const AVAILABILITY_MAP = {
+    instock: 'in_stock',
+    limitedavailability: 'in_stock',
+    onlineonly: 'in_stock',
+    instoreonly: 'in_stock',
+    preorder: 'in_stock',
+    presale: 'in_stock',
+    backorder: 'in_stock',
+    outofstock: 'out_of_stock',
+    soldout: 'out_of_stock',
+    discontinued: 'out_of_stock',
+};
+
+/**
+ * Normalize a schema.org availability URL or OpenGraph value
+ */
+export function normalizeSchemaAvailability(value) {
+    if (!value) return 'unknown';
+    const key = String(value).split('/').pop().replace(/[\s_-]/g, '').toLowerCase();
+    return AVAILABILITY_MAP[key] || 'unknown';
+}
+
+/**
+ * Convert a schema.org price value (number or string) to a number. Strings
+ * go through the price parser, which tells thousands from decimal separators.
+ */
+function toPrice(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const amount = typeof value === 'number' ? value : parsePrice(String(value)).amount;
+    return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+/**
+ * Check a JSON-LD node's @type, which may be a string or an array
+ */
+function hasType(node, type) {
+    const types = Array.isArray(node?.['@type']) ? node['@type'] : [node?.['@type']];
+    return types.includes(type);
+}
+
+/**
+ * Flatten JSON-LD documents into a list of nodes (handles arrays and @graph)
+ */
+function flattenJsonLd(documents) {
+    const nodes = [];
+    const visit = (node) => {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
+        }
+        nodes.push(node);
+        if (node['@graph']) visit(node['@graph']);
+    };
+    documents.forEach(visit);
+    return nodes;
+}
+
+/**
+ * schema.org price types that carry the pre-sale price
+ */
+const ORIGINAL_PRICE_TYPES = ['strikethroughprice', 'listprice', 'msrp', 'srp'];
+
+/**
+ * Check whether a UnitPriceSpecification is a was/list price
+ */
+function isOriginalPriceSpec(spec) {
+    const type = String(spec?.priceType || '').split('/').pop().toLowerCase();
+    return ORIGINAL_PRICE_TYPES.includes(type);
+}
+
+/**
+ * Normalize a single schema.org Offer
+ */
+function parseOffer(offer, fallback = {}) {
+    const specs = [].concat(offer.priceSpecification || []);
+    const saleSpec = specs.find(spec => !isOriginalPriceSpec(spec));
+    const originalSpec = specs.find(isOriginalPriceSpec);
+
+    const price = toPrice(offer.price ?? saleSpec?.price);
+    const currency = offer.priceCurrency ?? saleSpec?.priceCurrency ?? fallback.currency;
+    const originalPrice = toPrice(originalSpec?.price);
+
+    return {
+        price,
+        original_price: originalPrice && price && originalPrice > price ? originalPrice : null,
+        currency: normalizeCurrency(currency) || null,
+        availability: normalizeSchemaAvailability(offer.availability),
+        sku: offer.sku || fallback.sku || null,
+        size: offer.size || offer.itemOffered?.size || fallback.size || null,
+        url: offer.url || null,
+    };
+}
+
+/**
+ * Parse the offers of a Product node. Understands Offer, AggregateOffer
+ * (low/high price plus nested offers) and lists of per-size offers.
+ */
+function parseOffers(offers, fallback = {}) {
+    const list = Array.isArray(offers) ? offers : [offers];
+    const parsed = [];
+    let lowPrice = null;
+    let highPrice = null;
+
+    for (const offer of list) {
+        if (!offer || typeof offer !== 'object') continue;
+
+        if (hasType(offer, 'AggregateOffer')) {
+            lowPrice = toPrice(offer.lowPrice);
+            highPrice = toPrice(offer.highPrice);
+            const currency = offer.priceCurrency || fallback.currency;
+
+            if (offer.offers) {
+                parsed.push(...parseOffers(offer.offers, { ...fallback, currency }).offers);
+            } else if (lowPrice) {
+                parsed.push(parseOffer({ ...offer, price: lowPrice }, { ...fallback, currency }));
+            }
+            continue;
+        }
+
+        parsed.push(parseOffer(offer, fallback));
+    }
+
+    return { offers: parsed.filter(o => o.price !== null), lowPrice, highPrice };
+}
+
+/**
+ * Extract product data from JSON-LD documents
+ */
+function fromJsonLd(documents) {
+    const nodes = flattenJsonLd(documents);
+    const product = nodes.find(n => hasType(n, 'Product') || hasType(n, 'ProductGroup'));
+    if (!product) return null;
+
+    const fallback = { sku: product.sku };
+    const { offers, lowPrice, highPrice } = parseOffers(product.offers || [], fallback);
+
+    // ProductGroup variants carry their own size and offers
+    for (const variant of [].concat(product.hasVariant || [])) {
+        const variantOffers = parseOffers(variant.offers || [], {
+            sku: variant.sku,
+            size: variant.size,
+        });
+        offers.push(...variantOffers.offers);
+    }
+
+    if (offers.length === 0 && !lowPrice) return null;
+
+    return {
+        name: product.name || null,
+        sku: product.sku || null,
+        brand: product.brand?.name || (typeof product.brand === 'string' ? product.brand : null),
+        offers,
+        lowPrice,
+        highPrice,
+        method: 'json-ld',
+    };
+}
+
+/**
+ * Extract product data from microdata (itemprop attributes)
+ */
+function fromMicrodata(microdata) {
+    if (!microdata?.price) return null;
+
+    const offer = parseOffer(microdata);
+    if (offer.price === null) return null;
+
+    return {
+        name: microdata.name || null,
+        sku: microdata.sku || null,
+        brand: null,
+        offers: [offer],
+        lowPrice: null,
+        highPrice: null,
+        method: 'microdata',
+    };
+}
+
+/**
+ * Extract product data from OpenGraph product meta tags
+ */
+function fromOpenGraph(openGraph) {
+    const price = toPrice(openGraph?.['product:price:amount'] || openGraph?.['og:price:amount']);
+    if (price === null) return null;
+
+    const originalPrice = toPrice(openGraph['product:original_price:amount']);
+
+    return {
+        name: openGraph['og:title'] || null,
+        sku: openGraph['product:retailer_item_id'] || null,
+        brand: openGraph['product:brand'] || null,
+        offers: [{
+            price,
+            original_price: originalPrice && originalPrice > price ? originalPrice : null,
+            currency: normalizeCurrency(openGraph['product:price:currency'] || openGraph['og:price:currency']) || null,
+            availability: normalizeSchemaAvailability(openGraph['product:availability'] || openGraph['og:availability']),
+            sku: null,
+            size: null,
+            url: null,
+        }],
+        lowPrice: null,
+        highPrice: null,
+        method: 'opengraph',
+    };
+}
+
+/**
+ * Pick the best product data from raw structured data, preferring
+ * JSON-LD, then microdata, then OpenGraph
+ */
+export function parseStructuredData(raw) {
+    if (!raw) return null;
+    return fromJsonLd(raw.jsonLd || []) || fromMicrodata(raw.microdata) || fromOpenGraph(raw.openGraph);
+}
+
+/**
+ * Select the offer that represents the product's price. Prefers the
+ * requested size, then in-stock offers, then the lowest price.
+ */
+export function selectOffer(productData, size = null) {
+    if (!productData?.offers?.length) return null;
+
+    const bySize = size
+        ? productData.offers.filter(o => o.size && String(o.size).toUpperCase() === String(size).toUpperCase())
+        : [];
+    const inStock = productData.offers.filter(o => o.availability === 'in_stock');
+    const candidates = bySize.length > 0 ? bySize : (inStock.length > 0 ? inStock : productData.offers);
+
+    return candidates.reduce((best, o) => (o.price < best.price ? o : best));
+}
+
+/**
+ * Summarize availability across offers: in stock if any offer is
+ */
+export function offersAvailability(offers) {
+    if (!offers?.length) return 'unknown';
+    if (offers.some(o => o.availability === 'in_stock')) return 'in_stock';
+    if (offers.every(o => o.availability === 'out_of_stock')) return 'out_of_stock';
+    return 'unknown';
+}
+
+/**
+ * Collect raw JSON-LD, microdata and OpenGraph data from a Playwright page
+ */
+export async function collectStructuredData(page) {
+    return page.evaluate(() => {
+        const jsonLd = [];
+        document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                jsonLd.push(JSON.parse(script.textContent));
+            } catch {
+                // Ignore malformed blocks
+            }
+        });
+
+        const microdata = {};
+        const scope = document.querySelector('[itemtype*="schema.org/Product"]');
+        if (scope) {
+            for (const prop of ['name', 'sku', 'price', 'priceCurrency', 'availability']) {
+                const el = scope.querySelector(`[itemprop="${prop}"]`);
+                if (el) {
+                    microdata[prop] = el.getAttribute('content') || el.getAttribute('href') || el.textContent.trim();
+                }
+            }
+        }
+
+        const openGraph = {};
+        document.querySelectorAll('meta[property^="og:"], meta[property^="product:"]').forEach(meta => {
+            openGraph[meta.getAttribute('property')] = meta.getAttribute('content');
+        });
+
+        return { jsonLd, microdata, openGraph };
+    });
+}
+
+export default {
+    collectStructuredData,
+    parseStructuredData,
+    selectOffer,
+    offersAvailability,
+    normalizeSchemaAvailability,
+};
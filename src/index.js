@@ -4,9 +4,24 @@ import { fileURLToPath } from 'url';
 import config, { validateConfig } from './config.js';
 import logger from './logger.js';
 import { getOrchestrator } from './agents/task-orchestrator.js';
-import { MonitorRequestSchema, validateSchema } from './schemas.js';
-import { listResultFiles } from './output/results-writer.js';
+import {
+    MonitorRequestSchema,
+    TaskListQuerySchema,
+    WatchRequestSchema,
+    ConfirmationListQuerySchema,
+    ConfirmationDecisionSchema,
+    validateSchema,
+} from './schemas.js';
+import { listResultFiles, readResults } from './output/results-writer.js';
+import { getPriceHistoryStore } from './output/price-history.js';
 import { getScreenshotManager } from './output/screenshot-manager.js';
+import { getBrowserPool } from './browser/browser-pool.js';
+import { getPolitenessScheduler } from './browser/politeness.js';
+import { getWatchScheduler } from './scheduler/watch-scheduler.js';
+import { getConfirmationManager } from './agents/confirmation-manager.js';
+import { getUsageTracker } from './agents/usage-tracker.js';
+import { listTrajectories, readTrajectory } from './output/trajectory-recorder.js';
+import { getTaskEventBus, TASK_RESULT_EVENT } from './task-events.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -54,7 +69,14 @@ app.get('/api/info', (req, res) => {
         mode: config.dryRun ? 'dry-run' : 'live',
         debug: config.debugMode,
         confidence_threshold: config.minConfidence,
+        intent_parser: {
+            provider: getOrchestrator().intentParser.provider.name,
+            model: getOrchestrator().intentParser.provider.model,
+        },
         supported_sites: Object.keys(config.sites.sites || {}),
+        max_concurrent_sites: config.maxConcurrentSites,
+        browser_pool: getBrowserPool().getStatus(),
+        usage: getUsageTracker().getStatus(),
         stats: {
             screenshots: screenshotStats,
             result_files: resultFiles.length,
@@ -62,6 +84,11 @@ app.get('/api/info', (req, res) => {
     });
 });
 
+// Per-domain navigation budget and cooldown
+app.get('/api/politeness', (req, res) => {
+    res.json({ domains: getPolitenessScheduler().getStatus() });
+});
+
 // Main monitoring endpoint
 app.post('/api/monitor', async (req, res) => {
     try {
@@ -74,7 +101,7 @@ app.post('/api/monitor', async (req, res) => {
             });
         }
 
-        const { query, dry_run } = validation.data;
+        const { query, dry_run, wait } = validation.data;
 
         // Override dry-run if specified in request
         if (dry_run !== undefined) {
@@ -86,8 +113,20 @@ app.post('/api/monitor', async (req, res) => {
             dryRun: config.dryRun,
         });
 
-        // Process through orchestrator
         const orchestrator = getOrchestrator();
+
+        // Run in the background and let the client follow progress over SSE
+        if (!wait) {
+            const task = await orchestrator.submitQuery(query);
+            return res.status(202).json({
+                task_id: task.id,
+                status: task.status,
+                events_url: `/api/tasks/${task.id}/events`,
+                status_url: `/api/tasks/${task.id}`,
+            });
+        }
+
+        // Process through orchestrator
         const result = await orchestrator.processQuery(query);
 
         // Determine HTTP status based on result
@@ -108,12 +147,18 @@ app.post('/api/monitor', async (req, res) => {
     }
 });
 
-// Get active tasks
+// List active and finished tasks
 app.get('/api/tasks', (req, res) => {
+    const validation = validateSchema(TaskListQuerySchema, req.query);
+    if (!validation.valid) {
+        return res.status(400).json({
+            error: 'Invalid query parameters',
+            details: validation.errors,
+        });
+    }
+
     const orchestrator = getOrchestrator();
-    res.json({
-        tasks: orchestrator.getActiveTasks(),
-    });
+    res.json(orchestrator.listTasks(validation.data));
 });
 
 // Get task status
@@ -128,6 +173,216 @@ app.get('/api/tasks/:taskId', (req, res) => {
     res.json(status);
 });
 
+// Stream task progress events (Server-Sent Events)
+app.get('/api/tasks/:taskId/events', (req, res) => {
+    const { taskId } = req.params;
+    const bus = getTaskEventBus();
+
+    const taskStatus = getOrchestrator().getTaskStatus(taskId);
+
+    if (!bus.hasTask(taskId) && !taskStatus) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+    res.flushHeaders();
+
+    let unsubscribe = () => { };
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+
+    const send = (entry) => {
+        res.write(`data: ${JSON.stringify(entry)}\n\n`);
+        if (entry.event === TASK_RESULT_EVENT) {
+            close();
+        }
+    };
+
+    // Events of long-finished tasks are gone; send the stored outcome instead
+    if (!bus.hasTask(taskId) && taskStatus.completed_at) {
+        return send({
+            task_id: taskId,
+            event: TASK_RESULT_EVENT,
+            data: taskStatus,
+            timestamp: taskStatus.completed_at,
+        });
+    }
+
+    // Replay what already happened, then follow live events
+    const history = bus.getHistory(taskId);
+    history.forEach(send);
+    if (history.some(entry => entry.event === TASK_RESULT_EVENT)) {
+        return;
+    }
+
+    unsubscribe = bus.subscribe(taskId, send);
+    req.on('close', close);
+});
+
+// List Computer Use confirmations (pending and decided)
+app.get('/api/confirmations', (req, res) => {
+    const validation = validateSchema(ConfirmationListQuerySchema, req.query);
+    if (!validation.valid) {
+        return res.status(400).json({
+            error: 'Invalid query parameters',
+            details: validation.errors,
+        });
+    }
+
+    const { task_id: taskId, status } = validation.data;
+    res.json({
+        confirmations: getConfirmationManager().list({ taskId, status }),
+    });
+});
+
+// Get confirmation
+app.get('/api/confirmations/:confirmationId', (req, res) => {
+    const confirmation = getConfirmationManager().get(req.params.confirmationId);
+
+    if (!confirmation) {
+        return res.status(404).json({ error: 'Confirmation not found' });
+    }
+
+    res.json(confirmation);
+});
+
+// Approve or deny a pending confirmation
+app.post('/api/confirmations/:confirmationId', (req, res) => {
+    const validation = validateSchema(ConfirmationDecisionSchema, req.body);
+    if (!validation.valid) {
+        return res.status(400).json({
+            error: 'Invalid request',
+            details: validation.errors,
+        });
+    }
+
+    const manager = getConfirmationManager();
+    const existing = manager.get(req.params.confirmationId);
+    if (!existing) {
+        return res.status(404).json({ error: 'Confirmation not found' });
+    }
+
+    const confirmation = manager.decide(existing.id, validation.data.approved, validation.data.note || null);
+    if (!confirmation) {
+        return res.status(409).json({
+            error: 'Confirmation already decided',
+            confirmation: existing,
+        });
+    }
+
+    res.json(confirmation);
+});
+
+// List recorded Computer Use runs
+app.get('/api/trajectories', (req, res) => {
+    res.json({
+        trajectories: listTrajectories(),
+    });
+});
+
+// Get a Computer Use run with all its steps
+app.get('/api/trajectories/:taskId', (req, res) => {
+    const trajectory = readTrajectory(req.params.taskId);
+
+    if (!trajectory) {
+        return res.status(404).json({ error: 'Trajectory not found' });
+    }
+
+    res.json(trajectory);
+});
+
+// List watches
+app.get('/api/watches', (req, res) => {
+    res.json({
+        watches: getWatchScheduler().listWatches(),
+    });
+});
+
+// Create a recurring watch
+app.post('/api/watches', async (req, res) => {
+    try {
+        const validation = validateSchema(WatchRequestSchema, req.body);
+        if (!validation.valid) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                details: validation.errors,
+            });
+        }
+
+        const { query, schedule } = validation.data;
+        const result = await getWatchScheduler().createWatch(query, schedule);
+
+        if (!result.success) {
+            return res.status(400).json({
+                error: 'Watch could not be created',
+                details: result.errors,
+            });
+        }
+
+        res.status(201).json(result.watch);
+
+    } catch (error) {
+        logger.error('Create watch failed', { error: error.message });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message,
+        });
+    }
+});
+
+// Get watch
+app.get('/api/watches/:watchId', (req, res) => {
+    const watch = getWatchScheduler().getWatch(req.params.watchId);
+
+    if (!watch) {
+        return res.status(404).json({ error: 'Watch not found' });
+    }
+
+    res.json(watch);
+});
+
+// Pause watch
+app.post('/api/watches/:watchId/pause', (req, res) => {
+    const watch = getWatchScheduler().pauseWatch(req.params.watchId);
+
+    if (!watch) {
+        return res.status(404).json({ error: 'Watch not found' });
+    }
+
+    res.json(watch);
+});
+
+// Resume watch
+app.post('/api/watches/:watchId/resume', (req, res) => {
+    const watch = getWatchScheduler().resumeWatch(req.params.watchId);
+
+    if (!watch) {
+        return res.status(404).json({ error: 'Watch not found' });
+    }
+
+    res.json(watch);
+});
+
+// Delete watch
+app.delete('/api/watches/:watchId', (req, res) => {
+    const deleted = getWatchScheduler().deleteWatch(req.params.watchId);
+
+    if (!deleted) {
+        return res.status(404).json({ error: 'Watch not found' });
+    }
+
+    res.status(204).end();
+});
+
 // List screenshots
 app.get('/api/screenshots', (req, res) => {
     const manager = getScreenshotManager();
@@ -141,6 +396,40 @@ app.get('/api/results', (req, res) => {
     res.json({ files });
 });
 
+// Get results for a date
+app.get('/api/results/:date', async (req, res) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.date)) {
+        return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const source = req.query.source === 'history' ? 'history' : 'files';
+    const results = await readResults(req.params.date, { source });
+    res.json({ date: req.params.date, source, results });
+});
+
+// List tracked products
+app.get('/api/products', (req, res) => {
+    res.json({
+        products: getPriceHistoryStore().listProducts(),
+    });
+});
+
+// Price history for a product
+app.get('/api/products/:productId/history', (req, res) => {
+    const days = parseInt(req.query.days, 10);
+    const since = days > 0
+        ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+        : null;
+
+    const history = getPriceHistoryStore().getHistory(req.params.productId, { since });
+
+    if (!history) {
+        return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json(history);
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     logger.error('Unhandled error', { error: err.message, stack: err.stack });
@@ -159,7 +448,7 @@ async function startServer() {
     if (!configValidation.valid) {
         logger.warn('Configuration warnings', { errors: configValidation.errors });
         if (!config.dryRun) {
-            console.log('\n⚠️  Running in DRY-RUN mode because OPENAI_API_KEY is not set.\n');
+            console.log(`\n⚠️  Running in DRY-RUN mode: ${configValidation.errors.join('; ')}\n`);
             config.dryRun = true;
         }
     }
@@ -189,6 +478,11 @@ async function startServer() {
         console.log(`📸 Screenshots: ${config.screenshotsDir}`);
         console.log('');
     });
+
+    // Start recurring watches
+    if (config.watchesEnabled) {
+        getWatchScheduler().start();
+    }
 }
 
 // Start the server
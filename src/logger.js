@@ -1,6 +1,7 @@
 import winston from 'winston';
 import path from 'path';
 import config from './config.js';
+import { getTaskEventBus } from './task-events.js';
 
 const { combine, timestamp, printf, colorize, json } = winston.format;
 
@@ -57,7 +58,7 @@ export function createTaskLogger(taskId, component) {
 }
 
 /**
- * Log structured task event
+ * Log structured task event and publish it to live subscribers
  */
 export function logTaskEvent(taskId, event, data = {}) {
     logger.info({
@@ -66,6 +67,7 @@ export function logTaskEvent(taskId, event, data = {}) {
         ...data,
         timestamp: new Date().toISOString(),
     });
+    getTaskEventBus().publish(taskId, event, data);
 }
 
 /**
@@ -80,6 +82,7 @@ export function logTaskResult(taskId, status, result = {}) {
         ...result,
         timestamp: new Date().toISOString(),
     });
+    getTaskEventBus().publish(taskId, 'task_completed', { status, ...result });
 }
 
 export default logger;
@@ -0,0 +1,230 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config.js';
+import { createTaskLogger } from '../logger.js';
+import { extractSiteName, normalizeUrl } from '../validation/normalizers.js';
+
+/**
+ * Build a stable product identity from store, normalized URL and size
+ */
+export function getProductKey(result) {
+    const url = normalizeUrl(result.source_url);
+    const store = extractSiteName(result.source_url) || result.store_name || 'unknown';
+    const size = result.selected_size || null;
+    const productId = crypto
+        .createHash('sha1')
+        .update(`${store}|${url}|${size || ''}`)
+        .digest('hex')
+        .slice(0, 16);
+
+    return { productId, store, url, size };
+}
+
+/**
+ * Round a price to two decimals
+ */
+function roundPrice(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Price History Store - append-only JSONL store of every extraction,
+ * indexed in memory by product identity
+ */
+export class PriceHistoryStore {
+    constructor(filepath = path.join(config.dataDir, 'price_history.jsonl')) {
+        this.filepath = filepath;
+        this.products = new Map();
+        this.logger = createTaskLogger('price-history', 'PriceHistoryStore');
+        this.load();
+    }
+
+    /**
+     * Rebuild the in-memory index from disk
+     */
+    load() {
+        if (!fs.existsSync(this.filepath)) {
+            return;
+        }
+
+        const content = fs.readFileSync(this.filepath, 'utf-8');
+        let skipped = 0;
+
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                this.index(JSON.parse(line));
+            } catch {
+                skipped++;
+            }
+        }
+
+        this.logger.info('Price history loaded', { products: this.products.size, skipped });
+    }
+
+    /**
+     * Add an observation to the in-memory index
+     */
+    index(observation) {
+        let product = this.products.get(observation.product_id);
+        if (!product) {
+            product = {
+                product_id: observation.product_id,
+                store: observation.store,
+                url: observation.url,
+                size: observation.size,
+                product_name: observation.product_name,
+                observations: [],
+            };
+            this.products.set(observation.product_id, product);
+        }
+
+        product.product_name = observation.product_name || product.product_name;
+        product.observations.push(observation);
+    }
+
+    /**
+     * Record every priced result of a task, and unpriced ones with a known
+     * availability (sold-out pages often hide the price). Sets product_id
+     * on each result.
+     */
+    record(task) {
+        const observations = [];
+
+        for (const result of task.results) {
+            if (!result.source_url) continue;
+            if (!result.current_price && result.availability !== 'out_of_stock' && result.availability !== 'in_stock') continue;
+
+            const { productId, store, url, size } = getProductKey(result);
+            result.product_id = productId;
+
+            observations.push({
+                product_id: productId,
+                store,
+                url,
+                size,
+                product_name: result.product_name,
+                price: result.current_price || null,
+                original_price: result.original_price ?? null,
+                currency: result.currency,
+                availability: result.availability,
+                size_availability: result.size_availability || null,
+                meets_criteria: result.meets_criteria,
+                extraction_method: result.extraction_methods?.price || null,
+                source_url: result.source_url,
+                task_id: task.id,
+                timestamp: result.timestamp || new Date().toISOString(),
+            });
+        }
+
+        if (observations.length === 0) {
+            return [];
+        }
+
+        const lines = observations.map(o => JSON.stringify(o)).join('\n') + '\n';
+        fs.appendFileSync(this.filepath, lines, 'utf-8');
+        observations.forEach(o => this.index(o));
+
+        return observations;
+    }
+
+    /**
+     * Get price history and stats for a product
+     */
+    getHistory(productId, { since = null } = {}) {
+        const product = this.products.get(productId);
+        if (!product) {
+            return null;
+        }
+
+        const sinceMs = since ? new Date(since).getTime() : 0;
+        const series = product.observations
+            .filter(o => new Date(o.timestamp).getTime() >= sinceMs)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+            .map(o => ({
+                timestamp: o.timestamp,
+                price: o.price,
+                original_price: o.original_price ?? null,
+                currency: o.currency,
+                availability: o.availability,
+                size_availability: o.size_availability || null,
+                extraction_method: o.extraction_method || null,
+                task_id: o.task_id,
+            }));
+
+        const prices = series.map(o => o.price).filter(price => price !== null);
+        const stats = prices.length > 0 ? {
+            count: prices.length,
+            min: Math.min(...prices),
+            max: Math.max(...prices),
+            current: prices[prices.length - 1],
+            average: roundPrice(prices.reduce((sum, p) => sum + p, 0) / prices.length),
+        } : { count: 0, min: null, max: null, current: null, average: null };
+
+        return {
+            product_id: product.product_id,
+            product_name: product.product_name,
+            store: product.store,
+            url: product.url,
+            size: product.size,
+            currency: series.length > 0 ? series[series.length - 1].currency : null,
+            stats,
+            series,
+        };
+    }
+
+    /**
+     * Get the most recent observation for a product
+     */
+    getLatest(productId) {
+        const product = this.products.get(productId);
+        if (!product || product.observations.length === 0) {
+            return null;
+        }
+        return product.observations[product.observations.length - 1];
+    }
+
+    /**
+     * List tracked products with their latest observation
+     */
+    listProducts() {
+        return Array.from(this.products.values()).map(product => {
+            const latest = product.observations[product.observations.length - 1];
+            return {
+                product_id: product.product_id,
+                product_name: product.product_name,
+                store: product.store,
+                url: product.url,
+                size: product.size,
+                current_price: latest?.price ?? null,
+                currency: latest?.currency ?? null,
+                observations: product.observations.length,
+                last_seen: latest?.timestamp ?? null,
+            };
+        });
+    }
+
+    /**
+     * Get all observations recorded on a given date (YYYY-MM-DD)
+     */
+    getObservationsByDate(date) {
+        const observations = [];
+        for (const product of this.products.values()) {
+            observations.push(...product.observations.filter(o => o.timestamp.startsWith(date)));
+        }
+        return observations.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+}
+
+// Singleton instance
+let storeInstance = null;
+
+export function getPriceHistoryStore() {
+    if (!storeInstance) {
+        storeInstance = new PriceHistoryStore();
+    }
+    return storeInstance;
+}
+
+export default { PriceHistoryStore, getPriceHistoryStore, getProductKey };
@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import config from '../config.js';
 import { createTaskLogger } from '../logger.js';
+import { getPriceHistoryStore } from './price-history.js';
 
 /**
  * Write task results to CSV file
@@ -18,6 +19,12 @@ async function writeCSV(task, filepath) {
         'source_url',
         'meets_criteria',
         'screenshot_path',
+        'converted_price',
+        'converted_currency',
+        'original_price',
+        'discount_percent',
+        // Compared product the row belongs to (empty for single-product tasks)
+        'product_label',
     ];
 
     const rows = task.results.map(result => [
@@ -31,6 +38,11 @@ async function writeCSV(task, filepath) {
         result.source_url,
         result.meets_criteria,
         result.screenshot_path || '',
+        result.converted_price ?? '',
+        result.converted_currency || '',
+        result.original_price ?? '',
+        result.discount_percent ?? '',
+        result.product_label ? `"${result.product_label.replace(/"/g, '""')}"` : '',
     ]);
 
     // Check if file exists to determine if we need headers
@@ -50,29 +62,45 @@ async function writeCSV(task, filepath) {
  * Write task results to JSONL file
  */
 async function writeJSONL(task, filepath) {
-    const records = task.results.map(result => ({
-        task_id: task.id,
-        original_query: task.originalQuery,
-        status: task.status,
-        parsed: task.parsedTask ? {
-            brand: task.parsedTask.product.brand,
-            model: task.parsedTask.product.model,
-            max_price: task.parsedTask.constraints.max_price,
-            currency: task.parsedTask.constraints.currency,
-        } : null,
-        result: {
-            product_name: result.product_name,
-            current_price: result.current_price,
-            currency: result.currency,
-            availability: result.availability,
-            size: result.selected_size,
-            source_url: result.source_url,
-            meets_criteria: result.meets_criteria,
-            screenshot_path: result.screenshot_path,
-        },
-        timestamp: result.timestamp,
-        execution_time_ms: task.executionTimeMs,
-    }));
+    const records = task.results.map(result => {
+        // Comparison results record the product they were searched for
+        const product = task.parsedTask?.products?.[result.comparison_index] || task.parsedTask?.product;
+
+        return {
+            task_id: task.id,
+            original_query: task.originalQuery,
+            status: task.status,
+            parsed: task.parsedTask ? {
+                brand: product.brand,
+                model: product.model,
+                max_price: task.parsedTask.constraints.max_price,
+                min_discount_percent: task.parsedTask.constraints.min_discount_percent ?? null,
+                currency: task.parsedTask.constraints.currency,
+            } : null,
+            result: {
+                product_id: result.product_id || null,
+                product_name: result.product_name,
+                current_price: result.current_price,
+                currency: result.currency,
+                converted_price: result.converted_price ?? null,
+                converted_currency: result.converted_currency || null,
+                original_price: result.original_price ?? null,
+                discount_percent: result.discount_percent ?? null,
+                on_sale: result.on_sale || false,
+                availability: result.availability,
+                size: result.selected_size,
+                size_availability: result.size_availability || null,
+                source_url: result.source_url,
+                meets_criteria: result.meets_criteria,
+                match_score: result.match_score ?? null,
+                screenshot_path: result.screenshot_path,
+                sku: result.sku || null,
+                extraction_methods: result.extraction_methods || null,
+            },
+            timestamp: result.timestamp,
+            execution_time_ms: task.executionTimeMs,
+        };
+    });
 
     const lines = records.map(r => JSON.stringify(r)).join('\n') + '\n';
     fs.appendFileSync(filepath, lines, 'utf-8');
@@ -106,6 +134,10 @@ export async function writeResults(task) {
     const logger = createTaskLogger(task.id, 'ResultsWriter');
 
     try {
+        // Record in price history first so results carry their product_id
+        const observations = getPriceHistoryStore().record(task);
+        logger.debug('Price history recorded', { observations: observations.length });
+
         // Generate date-based filename prefix
         const date = new Date().toISOString().split('T')[0];
 
@@ -144,8 +176,26 @@ export async function writeResults(task) {
 
 /**
  * Read results for a specific date
+ * Use source 'history' to read from the price history store instead of the daily JSONL file
  */
-export async function readResults(date) {
+export async function readResults(date, { source = 'files' } = {}) {
+    if (source === 'history') {
+        return getPriceHistoryStore().getObservationsByDate(date).map(o => ({
+            task_id: o.task_id,
+            result: {
+                product_id: o.product_id,
+                product_name: o.product_name,
+                current_price: o.price,
+                currency: o.currency,
+                availability: o.availability,
+                size: o.size,
+                source_url: o.source_url,
+                meets_criteria: o.meets_criteria,
+            },
+            timestamp: o.timestamp,
+        }));
+    }
+
     const jsonlPath = path.join(config.resultsDir, `results_${date}.jsonl`);
 
     if (!fs.existsSync(jsonlPath)) {
@@ -164,13 +214,24 @@ export async function readResults(date) {
 export function listResultFiles() {
     const files = fs.readdirSync(config.resultsDir);
 
-    return files
+    const resultFiles = files
         .filter(f => f.endsWith('.jsonl') || f.endsWith('.csv'))
         .map(f => ({
             filename: f,
             path: path.join(config.resultsDir, f),
             type: f.endsWith('.jsonl') ? 'jsonl' : 'csv',
         }));
+
+    const historyPath = getPriceHistoryStore().filepath;
+    if (fs.existsSync(historyPath)) {
+        resultFiles.push({
+            filename: path.basename(historyPath),
+            path: historyPath,
+            type: 'history',
+        });
+    }
+
+    return resultFiles;
 }
 
 export default { writeResults, readResults, listResultFiles };
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import { createTaskLogger } from '../logger.js';
+import { getScreenshotManager } from './screenshot-manager.js';
+
+/**
+ * How often expired tasks are purged
+ */
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Task Registry - keeps finished tasks on disk for the retention window
+ * so their outcome can still be fetched after completion or a restart
+ */
+export class TaskRegistry {
+    constructor(dirPath = path.join(config.dataDir, 'tasks')) {
+        this.dirPath = dirPath;
+        this.tasks = new Map();
+        this.lastPurge = 0;
+        this.logger = createTaskLogger('task-registry', 'TaskRegistry');
+
+        if (!fs.existsSync(this.dirPath)) {
+            fs.mkdirSync(this.dirPath, { recursive: true });
+        }
+        this.load();
+    }
+
+    /**
+     * Retention window in milliseconds
+     */
+    get retentionMs() {
+        return config.taskRetentionHours * 60 * 60 * 1000;
+    }
+
+    /**
+     * Load finished tasks from disk
+     */
+    load() {
+        for (const file of fs.readdirSync(this.dirPath)) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                const record = JSON.parse(fs.readFileSync(path.join(this.dirPath, file), 'utf-8'));
+                this.tasks.set(record.task_id, record);
+            } catch (error) {
+                this.logger.warn('Skipping unreadable task file', { file, error: error.message });
+            }
+        }
+
+        this.purgeExpired();
+        this.logger.info('Task registry loaded', { tasks: this.tasks.size });
+    }
+
+    /**
+     * Collect screenshot references for a task
+     */
+    collectScreenshots(task) {
+        const paths = new Set(task.results.map(r => r.screenshot_path).filter(Boolean));
+        getScreenshotManager().getTaskScreenshots(task.id).forEach(s => paths.add(s.path));
+
+        return Array.from(paths).map(filepath => ({
+            path: filepath,
+            url: `/screenshots/${path.basename(filepath)}`,
+        }));
+    }
+
+    /**
+     * Store a finished task with its formatted API response
+     */
+    record(task, response) {
+        const record = {
+            task_id: task.id,
+            status: task.status,
+            original_query: task.originalQuery,
+            created_at: task.createdAt,
+            completed_at: task.completedAt,
+            errors: task.errors,
+            screenshots: this.collectScreenshots(task),
+            response,
+        };
+
+        this.tasks.set(task.id, record);
+
+        try {
+            fs.writeFileSync(
+                path.join(this.dirPath, `${task.id}.json`),
+                JSON.stringify(record, null, 2),
+                'utf-8'
+            );
+        } catch (error) {
+            this.logger.error('Failed to persist task', { taskId: task.id, error: error.message });
+        }
+
+        if (Date.now() - this.lastPurge > PURGE_INTERVAL_MS) {
+            this.purgeExpired();
+        }
+
+        return record;
+    }
+
+    /**
+     * Get a finished task
+     */
+    get(taskId) {
+        const record = this.tasks.get(taskId);
+        if (!record || this.isExpired(record)) {
+            return null;
+        }
+        return record;
+    }
+
+    /**
+     * List finished tasks, newest first
+     */
+    list() {
+        return Array.from(this.tasks.values())
+            .filter(record => !this.isExpired(record))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    /**
+     * Check whether a task is past the retention window
+     */
+    isExpired(record) {
+        const finishedAt = new Date(record.completed_at || record.created_at).getTime();
+        return Date.now() - finishedAt > this.retentionMs;
+    }
+
+    /**
+     * Remove expired tasks from memory and disk
+     */
+    purgeExpired() {
+        let purged = 0;
+
+        for (const record of this.tasks.values()) {
+            if (!this.isExpired(record)) continue;
+
+            this.tasks.delete(record.task_id);
+            const filepath = path.join(this.dirPath, `${record.task_id}.json`);
+            if (fs.existsSync(filepath)) {
+                fs.unlinkSync(filepath);
+            }
+            purged++;
+        }
+
+        this.lastPurge = Date.now();
+        if (purged > 0) {
+            this.logger.info('Expired tasks purged', { purged });
+        }
+        return purged;
+    }
+}
+
+// Singleton instance
+let registryInstance = null;
+
+export function getTaskRegistry() {
+    if (!registryInstance) {
+        registryInstance = new TaskRegistry();
+    }
+    return registryInstance;
+}
+
+export default { TaskRegistry, getTaskRegistry };
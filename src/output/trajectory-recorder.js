@@ -0,0 +1,151 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import { createTaskLogger } from '../logger.js';
+
+/**
+ * Public URL of a saved screenshot
+ */
+function screenshotUrl(filepath) {
+    return filepath ? `/screenshots/${path.basename(filepath)}` : null;
+}
+
+/**
+ * Trajectory Recorder - writes one Computer Use run to
+ * outputs/trajectories/<task_id>.json: every model turn and action with its
+ * arguments, click coordinates, URL, screenshots, duration and errors.
+ * The file is rewritten after each step so an interrupted run still leaves
+ * what happened up to that point.
+ */
+export class TrajectoryRecorder {
+    constructor(taskId, goal, { model, viewport, contextPolicy = null }) {
+        this.filepath = path.join(config.trajectoriesDir, `${taskId}.json`);
+        this.logger = createTaskLogger(taskId, 'TrajectoryRecorder');
+        this.trajectory = {
+            task_id: taskId,
+            goal,
+            model,
+            viewport,
+            context_policy: contextPolicy,
+            status: 'running',
+            started_at: new Date().toISOString(),
+            finished_at: null,
+            initial_screenshot_path: null,
+            initial_screenshot_url: null,
+            steps: [],
+            result_count: 0,
+            error: null,
+        };
+        this.save();
+    }
+
+    /**
+     * Record the screenshot the run starts from
+     */
+    setInitialScreenshot(filepath) {
+        this.trajectory.initial_screenshot_path = filepath;
+        this.trajectory.initial_screenshot_url = screenshotUrl(filepath);
+        this.save();
+    }
+
+    /**
+     * Screenshot the model was looking at before the next action
+     */
+    get lastScreenshotPath() {
+        const { steps } = this.trajectory;
+        for (let i = steps.length - 1; i >= 0; i--) {
+            if (steps[i].screenshot_path) return steps[i].screenshot_path;
+        }
+        return this.trajectory.initial_screenshot_path;
+    }
+
+    /**
+     * Record one action (or a final text answer, with action null)
+     */
+    recordStep(step) {
+        const before = step.screenshot_before_path ?? this.lastScreenshotPath;
+
+        this.trajectory.steps.push({
+            index: this.trajectory.steps.length + 1,
+            turn: step.turn,
+            model_text: step.model_text || null,
+            model_duration_ms: step.model_duration_ms ?? null,
+            prompt_tokens: step.usage?.prompt_tokens ?? null,
+            response_tokens: step.usage?.response_tokens ?? null,
+            action: step.action || null,
+            args: step.args || null,
+            coordinates: step.coordinates || null,
+            url: step.url || null,
+            screenshot_before_path: before,
+            screenshot_before_url: screenshotUrl(before),
+            screenshot_path: step.screenshot_path || null,
+            screenshot_url: screenshotUrl(step.screenshot_path),
+            duration_ms: step.duration_ms ?? null,
+            error: step.error || null,
+            refusals: step.refusals?.length ? step.refusals : null,
+            confirmation: step.confirmation || null,
+            timestamp: new Date().toISOString(),
+        });
+        this.save();
+    }
+
+    /**
+     * Close the run with its outcome
+     */
+    finish({ success, resultCount = 0, error = null }) {
+        Object.assign(this.trajectory, {
+            status: success ? 'completed' : 'failed',
+            finished_at: new Date().toISOString(),
+            result_count: resultCount,
+            error,
+        });
+        this.save();
+        this.logger.info('Trajectory saved', { filepath: this.filepath, steps: this.trajectory.steps.length });
+    }
+
+    /**
+     * Write the trajectory to disk
+     */
+    save() {
+        try {
+            fs.writeFileSync(this.filepath, JSON.stringify(this.trajectory, null, 2), 'utf-8');
+        } catch (error) {
+            this.logger.error('Failed to write trajectory', { error: error.message });
+        }
+    }
+}
+
+/**
+ * List recorded runs, newest first, without their steps
+ */
+export function listTrajectories() {
+    if (!fs.existsSync(config.trajectoriesDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(config.trajectoriesDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            try {
+                const { steps, ...summary } = JSON.parse(fs.readFileSync(path.join(config.trajectoriesDir, file), 'utf-8'));
+                return { ...summary, step_count: steps.length };
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.started_at.localeCompare(a.started_at));
+}
+
+/**
+ * Read a run's full trajectory, or null if none was recorded
+ */
+export function readTrajectory(taskId) {
+    const filepath = path.join(config.trajectoriesDir, `${path.basename(taskId)}.json`);
+    if (!fs.existsSync(filepath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+}
+
+export default { TrajectoryRecorder, listTrajectories, readTrajectory };
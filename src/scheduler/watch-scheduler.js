@@ -0,0 +1,304 @@
+import { v4 as uuidv4 } from 'uuid';
+import cronParser from 'cron-parser';
+import config from '../config.js';
+import { createTaskLogger } from '../logger.js';
+import { ParsedTaskSchema, WatchStatus, validateSchema } from '../schemas.js';
+import { getOrchestrator } from '../agents/task-orchestrator.js';
+import { validateTask, needsClarification } from '../validation/guardrails.js';
+import { WatchStore } from './watch-store.js';
+
+/**
+ * Upcoming cron runs compared when checking how often a cron schedule fires
+ */
+const CRON_GAP_SAMPLES = 10;
+
+/**
+ * Compute the next run time for a schedule
+ */
+export function computeNextRun(schedule, from = new Date()) {
+    if (schedule.cron) {
+        const interval = cronParser.parseExpression(schedule.cron, { currentDate: from });
+        return interval.next().toDate().toISOString();
+    }
+    return new Date(from.getTime() + schedule.interval_minutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Validate schedule values beyond what the request schema checks
+ */
+function validateSchedule(schedule) {
+    const errors = [];
+
+    if (schedule.interval_minutes && schedule.interval_minutes < config.watchMinIntervalMinutes) {
+        errors.push(`interval_minutes must be at least ${config.watchMinIntervalMinutes}`);
+    }
+
+    if (schedule.cron) {
+        try {
+            // Cron schedules are held to the same minimum gap between runs as intervals
+            const interval = cronParser.parseExpression(schedule.cron);
+            let previous = interval.next().getTime();
+            let minGapMs = Infinity;
+            for (let i = 1; i < CRON_GAP_SAMPLES; i++) {
+                const next = interval.next().getTime();
+                minGapMs = Math.min(minGapMs, next - previous);
+                previous = next;
+            }
+
+            if (minGapMs < config.watchMinIntervalMinutes * 60 * 1000) {
+                errors.push(`cron must not run more often than every ${config.watchMinIntervalMinutes} minutes`);
+            }
+        } catch (error) {
+            errors.push(`Invalid cron expression: ${error.message}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Watch Scheduler - re-runs stored watches on their interval or cron schedule
+ */
+export class WatchScheduler {
+    constructor(store = new WatchStore()) {
+        this.store = store;
+        this.timer = null;
+        this.ticking = false;
+        this.logger = createTaskLogger('watch-scheduler', 'WatchScheduler');
+    }
+
+    /**
+     * Start the periodic tick
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.tick(), config.watchTickInterval);
+        this.timer.unref();
+
+        this.logger.info('Watch scheduler started', {
+            watches: this.store.list().length,
+            tickIntervalMs: config.watchTickInterval,
+        });
+    }
+
+    /**
+     * Stop the periodic tick
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run every active watch that is due. Watches run one at a time so a
+     * backlog never launches several browsers at once.
+     */
+    async tick() {
+        if (this.ticking) {
+            return;
+        }
+        this.ticking = true;
+
+        try {
+            const now = Date.now();
+            const dueWatches = this.store.list().filter(watch =>
+                watch.status === WatchStatus.ACTIVE &&
+                new Date(watch.next_run_at).getTime() <= now
+            );
+
+            for (const watch of dueWatches) {
+                await this.runWatch(watch);
+            }
+        } catch (error) {
+            this.logger.error('Scheduler tick failed', { error: error.message });
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Parse and validate a query into an executable task
+     */
+    async parseQuery(query, watchId) {
+        const orchestrator = getOrchestrator();
+        const parseResult = await orchestrator.intentParser.parse(query, watchId);
+
+        if (!parseResult.success) {
+            return { success: false, errors: [`Intent parsing failed: ${parseResult.error}`] };
+        }
+
+        const clarification = needsClarification(parseResult.parsedTask);
+        if (clarification.needsClarification) {
+            return { success: false, errors: clarification.questions };
+        }
+
+        const validation = validateTask(parseResult.parsedTask);
+        if (!validation.valid) {
+            return { success: false, errors: validation.errors };
+        }
+
+        return { success: true, parsedTask: parseResult.parsedTask };
+    }
+
+    /**
+     * Return the stored parsed task, re-parsing only when it no longer
+     * matches the current ParsedTaskSchema
+     */
+    async resolveParsedTask(watch) {
+        const validation = validateSchema(ParsedTaskSchema, watch.parsed_task);
+        if (validation.valid) {
+            return validation.data;
+        }
+
+        const logger = createTaskLogger(watch.id, 'WatchScheduler');
+        logger.info('Stored parsed task is stale, re-parsing', { errors: validation.errors });
+
+        const parseResult = await this.parseQuery(watch.query, watch.id);
+        if (!parseResult.success) {
+            logger.warn('Re-parsing failed', { errors: parseResult.errors });
+            return null;
+        }
+
+        this.store.update(watch.id, { parsed_task: parseResult.parsedTask });
+        return parseResult.parsedTask;
+    }
+
+    /**
+     * Execute a single watch run through the orchestrator
+     */
+    async runWatch(watch) {
+        const logger = createTaskLogger(watch.id, 'WatchScheduler');
+        const startedAt = new Date();
+
+        // Schedule the next run up front so a slow or failing run is not retried every tick
+        this.store.update(watch.id, { next_run_at: computeNextRun(watch.schedule, startedAt) });
+
+        logger.info('Running watch', { query: watch.query.substring(0, 100) });
+
+        try {
+            const parsedTask = await this.resolveParsedTask(watch);
+            if (!parsedTask) {
+                this.store.update(watch.id, {
+                    last_run_at: startedAt.toISOString(),
+                    last_status: 'VALIDATION_FAILED',
+                });
+                return null;
+            }
+
+            const result = await getOrchestrator().processQuery(watch.query, { parsedTask });
+
+            this.store.update(watch.id, {
+                last_run_at: startedAt.toISOString(),
+                last_status: result.status,
+                last_task_id: result.task_id,
+                run_count: (watch.run_count || 0) + 1,
+            });
+
+            logger.info('Watch run completed', { status: result.status, taskId: result.task_id });
+            return result;
+
+        } catch (error) {
+            logger.error('Watch run failed', { error: error.message });
+            this.store.update(watch.id, {
+                last_run_at: startedAt.toISOString(),
+                last_status: 'ERROR',
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Create a new watch from a natural-language query and a schedule
+     */
+    async createWatch(query, schedule) {
+        const scheduleErrors = validateSchedule(schedule);
+        if (scheduleErrors.length > 0) {
+            return { success: false, errors: scheduleErrors };
+        }
+
+        const watchId = uuidv4();
+        const parseResult = await this.parseQuery(query, watchId);
+        if (!parseResult.success) {
+            return { success: false, errors: parseResult.errors };
+        }
+
+        const now = new Date();
+        const watch = this.store.create({
+            id: watchId,
+            query,
+            schedule,
+            parsed_task: parseResult.parsedTask,
+            status: WatchStatus.ACTIVE,
+            created_at: now.toISOString(),
+            updated_at: now.toISOString(),
+            next_run_at: computeNextRun(schedule, now),
+            last_run_at: null,
+            last_status: null,
+            last_task_id: null,
+            run_count: 0,
+        });
+
+        this.logger.info('Watch created', { watchId, schedule });
+        return { success: true, watch };
+    }
+
+    /**
+     * Pause an active watch
+     */
+    pauseWatch(watchId) {
+        return this.store.update(watchId, { status: WatchStatus.PAUSED });
+    }
+
+    /**
+     * Resume a paused watch, scheduling its next run from now
+     */
+    resumeWatch(watchId) {
+        const watch = this.store.get(watchId);
+        if (!watch) {
+            return null;
+        }
+
+        return this.store.update(watchId, {
+            status: WatchStatus.ACTIVE,
+            next_run_at: computeNextRun(watch.schedule),
+        });
+    }
+
+    /**
+     * Delete a watch
+     */
+    deleteWatch(watchId) {
+        return this.store.delete(watchId);
+    }
+
+    /**
+     * Get a single watch
+     */
+    getWatch(watchId) {
+        return this.store.get(watchId);
+    }
+
+    /**
+     * List all watches
+     */
+    listWatches() {
+        return this.store.list();
+    }
+}
+
+// Singleton instance
+let schedulerInstance = null;
+
+export function getWatchScheduler() {
+    if (!schedulerInstance) {
+        schedulerInstance = new WatchScheduler();
+    }
+    return schedulerInstance;
+}
+
+export default { WatchScheduler, getWatchScheduler, computeNextRun };
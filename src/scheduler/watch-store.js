@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import { createTaskLogger } from '../logger.js';
+
+/**
+ * Watch Store - persists recurring watches to disk so they survive restarts
+ */
+export class WatchStore {
+    constructor(filepath = path.join(config.dataDir, 'watches.json')) {
+        this.filepath = filepath;
+        this.watches = new Map();
+        this.logger = createTaskLogger('watch-store', 'WatchStore');
+        this.load();
+    }
+
+    /**
+     * Load watches from disk
+     */
+    load() {
+        if (!fs.existsSync(this.filepath)) {
+            return;
+        }
+
+        try {
+            const content = fs.readFileSync(this.filepath, 'utf-8');
+            const records = JSON.parse(content);
+            for (const watch of records) {
+                this.watches.set(watch.id, watch);
+            }
+            this.logger.info('Watches loaded', { count: this.watches.size });
+        } catch (error) {
+            this.logger.error('Failed to load watches', { error: error.message });
+        }
+    }
+
+    /**
+     * Write all watches to disk
+     */
+    save() {
+        const records = Array.from(this.watches.values());
+        fs.writeFileSync(this.filepath, JSON.stringify(records, null, 2), 'utf-8');
+    }
+
+    /**
+     * List all watches
+     */
+    list() {
+        return Array.from(this.watches.values());
+    }
+
+    /**
+     * Get a single watch
+     */
+    get(watchId) {
+        return this.watches.get(watchId) || null;
+    }
+
+    /**
+     * Add a new watch
+     */
+    create(watch) {
+        this.watches.set(watch.id, watch);
+        this.save();
+        return watch;
+    }
+
+    /**
+     * Merge changes into an existing watch
+     */
+    update(watchId, changes) {
+        const watch = this.watches.get(watchId);
+        if (!watch) {
+            return null;
+        }
+
+        Object.assign(watch, changes, { updated_at: new Date().toISOString() });
+        this.save();
+        return watch;
+    }
+
+    /**
+     * Remove a watch
+     */
+    delete(watchId) {
+        const deleted = this.watches.delete(watchId);
+        if (deleted) {
+            this.save();
+        }
+        return deleted;
+    }
+}
+
+export default { WatchStore };
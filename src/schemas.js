@@ -18,22 +18,41 @@ export const ConstraintsSchema = z.object({
     max_price: z.number().positive().nullable(),
     currency: z.string().nullable(),
     size: z.string().nullable(),
+    // "at least 30% off" -> 30
+    min_discount_percent: z.number().positive().max(100).nullable().optional(),
 });
 
 /**
  * Sources schema
  */
 export const SourcesSchema = z.object({
-    mode: z.enum(['google', 'specific_sites']),
+    mode: z.enum(['google', 'specific_sites', 'direct_url']),
     sites: z.array(z.string()).nullable(),
+    // Page to start from in direct_url mode
+    url: z.string().url().nullable().optional(),
 });
 
+/**
+ * Task goal: get notified about a price, or about a sold-out product coming back
+ */
+export const TaskType = {
+    PRICE_MONITORING: 'price_monitoring',
+    RESTOCK_MONITORING: 'restock_monitoring',
+};
+
+/**
+ * Most products a single comparison request may list
+ */
+export const MAX_COMPARED_PRODUCTS = 5;
+
 /**
  * Parsed task schema - the execution contract
  */
 export const ParsedTaskSchema = z.object({
-    task_type: z.literal('price_monitoring'),
+    task_type: z.nativeEnum(TaskType),
     product: ProductSchema,
+    // Comparison requests: every product to search for (product is the first one)
+    products: z.array(ProductSchema).min(2).max(MAX_COMPARED_PRODUCTS).nullable().optional(),
     constraints: ConstraintsSchema,
     sources: SourcesSchema,
     search_strategy: z.enum(['google', 'site_internal']).nullable(),
@@ -48,14 +67,32 @@ export const TaskStatus = {
     NOT_FOUND: 'NOT_FOUND',
     CAPTCHA: 'CAPTCHA',
     BLOCKED: 'BLOCKED',
+    DISALLOWED: 'DISALLOWED',
     VALIDATION_FAILED: 'VALIDATION_FAILED',
     LAYOUT_CHANGED: 'LAYOUT_CHANGED',
     TIMEOUT: 'TIMEOUT',
+    BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
     PENDING: 'PENDING',
     IN_PROGRESS: 'IN_PROGRESS',
     CLARIFICATION_NEEDED: 'CLARIFICATION_NEEDED',
 };
 
+/**
+ * Which strategy produced each extracted value
+ * (json-ld, microdata, opengraph, selector, heuristic, regex, ...)
+ */
+export const ExtractionMethodsSchema = z.object({
+    price: z.string().nullable(),
+    product_name: z.string().nullable(),
+    availability: z.string().nullable(),
+    original_price: z.string().nullable().optional(),
+});
+
+/**
+ * Stock status per size, e.g. {"42": "in_stock", "43": "out_of_stock"}
+ */
+export const SizeAvailabilitySchema = z.record(z.enum(['in_stock', 'out_of_stock', 'unknown']));
+
 /**
  * Extraction result schema
  */
@@ -65,10 +102,27 @@ export const ExtractionResultSchema = z.object({
     currency: z.string(),
     availability: z.enum(['in_stock', 'out_of_stock', 'unknown']),
     selected_size: z.string().nullable(),
+    size_availability: SizeAvailabilitySchema.nullable().optional(),
     timestamp: z.string().datetime(),
     source_url: z.string().url(),
     screenshot_path: z.string().nullable(),
     meets_criteria: z.boolean(),
+    // Restock monitoring: availability at the previous check and whether it came back
+    previous_availability: z.enum(['in_stock', 'out_of_stock', 'unknown']).nullable().optional(),
+    restocked: z.boolean().optional(),
+    sku: z.string().nullable().optional(),
+    original_price: z.number().positive().nullable().optional(),
+    discount_percent: z.number().min(0).max(100).nullable().optional(),
+    on_sale: z.boolean().optional(),
+    // Price in the requested currency (null when no rate is known)
+    converted_price: z.number().positive().nullable().optional(),
+    converted_currency: z.string().optional(),
+    // 1-based position after relevance ranking of a search page
+    search_rank: z.number().int().positive().optional(),
+    // How well the product name matches the request (0-1)
+    match_score: z.number().min(0).max(1).optional(),
+    low_match: z.boolean().optional(),
+    extraction_methods: ExtractionMethodsSchema.optional(),
 });
 
 /**
@@ -109,6 +163,92 @@ export const IntentParserResponseSchema = z.union([
 export const MonitorRequestSchema = z.object({
     query: z.string().min(1).max(1000),
     dry_run: z.boolean().optional(),
+    // Hold the connection open and return the final result instead of 202 Accepted
+    wait: z.boolean().optional(),
+});
+
+/**
+ * Query parameters for listing tasks
+ */
+export const TaskListQuerySchema = z.object({
+    status: z.nativeEnum(TaskStatus).optional(),
+    // A date (2026-10-01, midnight UTC) or a full ISO timestamp
+    since: z.union([z.string().date(), z.string().datetime({ offset: true })])
+        .transform(value => new Date(value))
+        .optional(),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    offset: z.coerce.number().int().min(0).default(0),
+});
+
+/**
+ * Watch schedule schema - either a fixed interval or a cron expression
+ */
+export const WatchScheduleSchema = z.object({
+    interval_minutes: z.number().int().positive().optional(),
+    cron: z.string().min(1).max(100).optional(),
+}).refine(
+    schedule => Boolean(schedule.interval_minutes) !== Boolean(schedule.cron),
+    { message: 'Exactly one of interval_minutes or cron must be provided' }
+);
+
+/**
+ * Watch status enumeration
+ */
+export const WatchStatus = {
+    ACTIVE: 'ACTIVE',
+    PAUSED: 'PAUSED',
+};
+
+/**
+ * API request schema for creating a recurring watch
+ */
+export const WatchRequestSchema = z.object({
+    query: z.string().min(1).max(1000),
+    schedule: WatchScheduleSchema,
+});
+
+/**
+ * Confirmation status enumeration
+ */
+export const ConfirmationStatus = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    DENIED: 'denied',
+};
+
+/**
+ * Query parameters for listing Computer Use confirmations
+ */
+export const ConfirmationListQuerySchema = z.object({
+    task_id: z.string().uuid().optional(),
+    status: z.nativeEnum(ConfirmationStatus).optional(),
+});
+
+/**
+ * API request schema for answering a confirmation
+ */
+export const ConfirmationDecisionSchema = z.object({
+    approved: z.boolean(),
+    note: z.string().max(500).optional(),
+});
+
+/**
+ * A product the Computer Use model reports as its final answer
+ */
+export const ReportedResultSchema = z.object({
+    product_name: z.string().min(1),
+    price: z.number().positive(),
+    currency: z.string().regex(/^[A-Z]{3}$/, 'Expected an ISO 4217 code such as EUR'),
+    store_name: z.string().min(1),
+    source_url: z.string().url(),
+    availability: z.enum(['in_stock', 'out_of_stock', 'unknown']),
+});
+
+/**
+ * Final answer of the Computer Use model (report_results call or JSON text)
+ */
+export const ReportResultsSchema = z.object({
+    results: z.array(ReportedResultSchema),
 });
 
 /**
@@ -130,12 +270,25 @@ export default {
     ProductSchema,
     ConstraintsSchema,
     SourcesSchema,
+    TaskType,
+    MAX_COMPARED_PRODUCTS,
     ParsedTaskSchema,
     TaskStatus,
+    ExtractionMethodsSchema,
+    SizeAvailabilitySchema,
     ExtractionResultSchema,
     TaskResultSchema,
     ClarificationRequestSchema,
     IntentParserResponseSchema,
     MonitorRequestSchema,
+    TaskListQuerySchema,
+    WatchScheduleSchema,
+    WatchStatus,
+    WatchRequestSchema,
+    ConfirmationStatus,
+    ConfirmationListQuerySchema,
+    ConfirmationDecisionSchema,
+    ReportedResultSchema,
+    ReportResultsSchema,
     validateSchema,
 };
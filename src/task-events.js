@@ -0,0 +1,81 @@
+import { EventEmitter } from 'events';
+
+/**
+ * How long a finished task's events stay available for late subscribers
+ */
+const HISTORY_RETENTION_MS = 10 * 60 * 1000;
+
+/**
+ * Event that closes a task's stream
+ */
+export const TASK_RESULT_EVENT = 'task_result';
+
+/**
+ * Task Event Bus - fans task progress events out to live subscribers
+ * and keeps a short per-task history so late subscribers can catch up
+ */
+export class TaskEventBus extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0);
+        this.history = new Map();
+    }
+
+    /**
+     * Publish an event for a task
+     */
+    publish(taskId, event, data = {}) {
+        const entry = {
+            task_id: taskId,
+            event,
+            data,
+            timestamp: new Date().toISOString(),
+        };
+
+        if (!this.history.has(taskId)) {
+            this.history.set(taskId, []);
+        }
+        this.history.get(taskId).push(entry);
+
+        if (event === TASK_RESULT_EVENT) {
+            setTimeout(() => this.history.delete(taskId), HISTORY_RETENTION_MS).unref();
+        }
+
+        this.emit(taskId, entry);
+        return entry;
+    }
+
+    /**
+     * Subscribe to a task's events. Returns an unsubscribe function.
+     */
+    subscribe(taskId, listener) {
+        this.on(taskId, listener);
+        return () => this.off(taskId, listener);
+    }
+
+    /**
+     * Get events already published for a task
+     */
+    getHistory(taskId) {
+        return this.history.get(taskId) || [];
+    }
+
+    /**
+     * Check whether any events are known for a task
+     */
+    hasTask(taskId) {
+        return this.history.has(taskId);
+    }
+}
+
+// Singleton instance
+let busInstance = null;
+
+export function getTaskEventBus() {
+    if (!busInstance) {
+        busInstance = new TaskEventBus();
+    }
+    return busInstance;
+}
+
+export default { TaskEventBus, getTaskEventBus, TASK_RESULT_EVENT };
@@ -0,0 +1,166 @@
+import config from '../config.js';
+import { createTaskLogger } from '../logger.js';
+import { normalizeCurrency } from './normalizers.js';
+
+/**
+ * How long a failed refresh waits before the rate source is tried again
+ */
+const RETRY_BACKOFF_MS = 5 * 60 * 1000;
+
+/**
+ * Fetch rates from the configured URL. Expects {"base": "EUR", "rates": {...}}.
+ */
+async function fetchRatesFromUrl() {
+    const response = await fetch(config.exchangeRatesUrl, { signal: AbortSignal.timeout(10000) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+/**
+ * Round an amount to two decimals
+ */
+function roundAmount(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Currency Converter - converts amounts using a rate table loaded from
+ * configs/exchange-rates.yaml, optionally refreshed by a pluggable fetcher
+ */
+export class CurrencyConverter {
+    constructor(rateTable = config.exchangeRates, fetcher = config.exchangeRatesUrl ? fetchRatesFromUrl : null) {
+        this.logger = createTaskLogger('currency-converter', 'CurrencyConverter');
+        this.fetcher = fetcher;
+        this.lastRefresh = 0;
+        this.lastFailure = 0;
+        // Refresh in flight, shared by concurrent callers
+        this.pending = null;
+        this.setRates(rateTable);
+    }
+
+    /**
+     * Replace the rate table
+     */
+    setRates({ base, rates, updated_at: updatedAt = null }) {
+        this.base = base.toUpperCase();
+        this.rates = Object.fromEntries(
+            Object.entries(rates).map(([code, rate]) => [code.toUpperCase(), Number(rate)])
+        );
+        this.rates[this.base] = 1;
+        this.updatedAt = updatedAt;
+    }
+
+    /**
+     * Use a custom rate source, e.g. a bank API client
+     */
+    setFetcher(fetcher) {
+        this.fetcher = fetcher;
+        this.lastRefresh = 0;
+        this.lastFailure = 0;
+    }
+
+    /**
+     * Refresh rates from the fetcher when they are older than the refresh interval.
+     * Keeps the current table if the fetch fails, and does not try again
+     * for a few minutes so a bad rate source does not slow down every task.
+     */
+    async refresh() {
+        const maxAgeMs = config.exchangeRatesRefreshHours * 60 * 60 * 1000;
+        const now = Date.now();
+        if (!this.fetcher || now - this.lastRefresh < maxAgeMs || now - this.lastFailure < RETRY_BACKOFF_MS) {
+            return false;
+        }
+
+        if (!this.pending) {
+            this.pending = this.fetchRates().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    /**
+     * Fetch and apply a new rate table. Returns whether it succeeded.
+     */
+    async fetchRates() {
+        try {
+            const table = await this.fetcher();
+            this.setRates({ ...table, updated_at: table.updated_at || table.date || new Date().toISOString() });
+            this.lastRefresh = Date.now();
+            this.logger.info('Exchange rates refreshed', { base: this.base, currencies: Object.keys(this.rates).length });
+            return true;
+        } catch (error) {
+            this.lastFailure = Date.now();
+            this.logger.warn('Exchange rate refresh failed, using cached rates', {
+                error: error.message,
+                retryInMs: RETRY_BACKOFF_MS,
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Convert an amount between currencies. Returns null when a rate is unknown.
+     */
+    convert(amount, from, to) {
+        const fromCode = normalizeCurrency(from);
+        const toCode = normalizeCurrency(to);
+
+        if (amount === null || amount === undefined || !fromCode || !toCode) return null;
+        if (fromCode === toCode) return amount;
+
+        const fromRate = this.rates[fromCode];
+        const toRate = this.rates[toCode];
+        if (!fromRate || !toRate) return null;
+
+        return roundAmount((amount / fromRate) * toRate);
+    }
+
+    /**
+     * Convert results into the requested currency and re-check the price
+     * constraint against the converted amount
+     */
+    convertResults(results, constraints) {
+        const target = normalizeCurrency(constraints.currency) || 'EUR';
+
+        for (const result of results) {
+            if (!result.current_price) continue;
+
+            result.converted_price = this.convert(result.current_price, result.currency, target);
+            result.converted_currency = target;
+
+            if (constraints.max_price) {
+                result.meets_criteria = result.converted_price !== null &&
+                    result.converted_price <= constraints.max_price;
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Describe the rate table in use
+     */
+    getInfo() {
+        return {
+            base: this.base,
+            currencies: Object.keys(this.rates),
+            updated_at: this.updatedAt,
+            live: Boolean(this.fetcher),
+        };
+    }
+}
+
+// Singleton instance
+let converterInstance = null;
+
+export function getCurrencyConverter() {
+    if (!converterInstance) {
+        converterInstance = new CurrencyConverter();
+    }
+    return converterInstance;
+}
+
+export default { CurrencyConverter, getCurrencyConverter };
@@ -0,0 +1,32 @@
+/**
+ * Percentage off the original price, rounded to one decimal
+ */
+export function computeDiscountPercent(currentPrice, originalPrice) {
+    if (!currentPrice || !originalPrice || originalPrice <= currentPrice) {
+        return null;
+    }
+    return Math.round(((originalPrice - currentPrice) / originalPrice) * 1000) / 10;
+}
+
+/**
+ * Attach discount_percent and on_sale to every result and enforce the
+ * min_discount_percent constraint: a result that is not discounted
+ * enough can no longer meet criteria.
+ */
+export function applyDiscounts(results, constraints) {
+    const minDiscount = constraints.min_discount_percent || null;
+
+    for (const result of results) {
+        result.discount_percent = computeDiscountPercent(result.current_price, result.original_price);
+        result.on_sale = result.discount_percent !== null;
+
+        if (minDiscount && result.current_price) {
+            result.meets_criteria = Boolean(result.meets_criteria) &&
+                result.on_sale && result.discount_percent >= minDiscount;
+        }
+    }
+
+    return results;
+}
+
+export default { computeDiscountPercent, applyDiscounts };
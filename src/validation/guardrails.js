@@ -1,5 +1,5 @@
 import config from '../config.js';
-import { TaskStatus } from '../schemas.js';
+import { TaskStatus, TaskType } from '../schemas.js';
 
 /**
  * Validation result structure
@@ -50,6 +50,13 @@ function validateConstraints(constraints) {
         }
     }
 
+    if (constraints.min_discount_percent !== null && constraints.min_discount_percent !== undefined) {
+        if (typeof constraints.min_discount_percent !== 'number' ||
+            constraints.min_discount_percent <= 0 || constraints.min_discount_percent >= 100) {
+            errors.push('min_discount_percent must be between 0 and 100');
+        }
+    }
+
     return { errors, warnings };
 }
 
@@ -110,14 +117,23 @@ export function validateTask(parsedTask) {
     const allWarnings = [];
 
     // Validate task type
-    if (parsedTask.task_type !== 'price_monitoring') {
+    if (!Object.values(TaskType).includes(parsedTask.task_type)) {
         allErrors.push(`Unsupported task type: ${parsedTask.task_type}`);
     }
 
-    // Validate product
-    const productValidation = validateProduct(parsedTask.product);
-    allErrors.push(...productValidation.errors);
-    allWarnings.push(...productValidation.warnings);
+    // Validate product, or every product of a comparison
+    if (parsedTask.products?.length > 1) {
+        parsedTask.products.forEach(product => {
+            const label = [product.brand, product.model].filter(Boolean).join(' ') || 'Unnamed product';
+            const productValidation = validateProduct(product);
+            allErrors.push(...productValidation.errors.map(error => `${label}: ${error}`));
+            allWarnings.push(...productValidation.warnings.map(warning => `${label}: ${warning}`));
+        });
+    } else {
+        const productValidation = validateProduct(parsedTask.product);
+        allErrors.push(...productValidation.errors);
+        allWarnings.push(...productValidation.warnings);
+    }
 
     // Validate constraints
     const constraintsValidation = validateConstraints(parsedTask.constraints);
@@ -153,7 +169,7 @@ export function needsClarification(parsedTask) {
     }
 
     // Check for missing critical info
-    if (!parsedTask.product.brand && !parsedTask.product.model) {
+    if ((parsedTask.products || [parsedTask.product]).some(product => !product.brand && !product.model)) {
         questions.push('What brand or specific product model are you looking for?');
     }
 
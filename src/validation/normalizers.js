@@ -1,4 +1,7 @@
 import config from '../config.js';
+import { parsePrice } from './price-parser.js';
+
+export { parsePrice };
 
 /**
  * Normalize brand name to canonical form
@@ -22,6 +25,25 @@ export function normalizeBrand(input) {
     return input.charAt(0).toUpperCase() + input.slice(1).toLowerCase();
 }
 
+/**
+ * Get every known spelling (lowercase) for a brand, from brands.yaml
+ */
+export function getBrandAliases(input) {
+    if (!input) return [];
+
+    const canonical = normalizeBrand(input);
+    const { brands } = config.brands;
+
+    for (const brandConfig of Object.values(brands)) {
+        if (brandConfig.canonical === canonical) {
+            const names = [brandConfig.canonical, ...(brandConfig.aliases || [])];
+            return [...new Set(names.map(name => name.toLowerCase()))];
+        }
+    }
+
+    return [canonical.toLowerCase()];
+}
+
 /**
  * Normalize color names
  */
@@ -80,6 +102,24 @@ export function normalizeColor(input) {
     return COLOR_MAP[normalized] || input.charAt(0).toUpperCase() + input.slice(1).toLowerCase();
 }
 
+/**
+ * Check whether a word is a known color name in any language
+ */
+export function isColorName(input) {
+    return Boolean(input && COLOR_MAP[input.toLowerCase().trim()]);
+}
+
+/**
+ * Get every known name (all languages, lowercase) for a color
+ */
+export function getColorAliases(input) {
+    const canonical = normalizeColor(input);
+    if (!canonical) return [];
+
+    const aliases = Object.keys(COLOR_MAP).filter(name => COLOR_MAP[name] === canonical);
+    return aliases.length > 0 ? aliases : [canonical.toLowerCase()];
+}
+
 /**
  * Parse and normalize currency from text
  */
@@ -109,67 +149,6 @@ export function normalizeCurrency(input) {
     return input.toUpperCase();
 }
 
-/**
- * Parse price from text, extracting amount and currency
- */
-export function parsePrice(text) {
-    if (!text) return { amount: null, currency: null };
-
-    // Clean the text
-    const cleaned = text.replace(/\s+/g, ' ').trim();
-
-    // Common patterns
-    const patterns = [
-        // €99.99 or € 99,99
-        /€\s*([0-9]+(?:[.,][0-9]{1,2})?)/,
-        // 99.99€ or 99,99 €
-        /([0-9]+(?:[.,][0-9]{1,2})?)\s*€/,
-        // $99.99 or $ 99.99
-        /\$\s*([0-9]+(?:[.,][0-9]{1,2})?)/,
-        // 99.99$ or 99.99 $
-        /([0-9]+(?:[.,][0-9]{1,2})?)\s*\$/,
-        // £99.99
-        /£\s*([0-9]+(?:[.,][0-9]{1,2})?)/,
-        // 99.99£
-        /([0-9]+(?:[.,][0-9]{1,2})?)\s*£/,
-        // EUR 99.99 or 99.99 EUR
-        /EUR\s*([0-9]+(?:[.,][0-9]{1,2})?)/i,
-        /([0-9]+(?:[.,][0-9]{1,2})?)\s*EUR/i,
-        // USD 99.99 or 99.99 USD
-        /USD\s*([0-9]+(?:[.,][0-9]{1,2})?)/i,
-        /([0-9]+(?:[.,][0-9]{1,2})?)\s*USD/i,
-        // GBP 99.99 or 99.99 GBP
-        /GBP\s*([0-9]+(?:[.,][0-9]{1,2})?)/i,
-        /([0-9]+(?:[.,][0-9]{1,2})?)\s*GBP/i,
-    ];
-
-    for (const pattern of patterns) {
-        const match = cleaned.match(pattern);
-        if (match) {
-            // Normalize the number (convert comma decimal separator to period)
-            let amount = match[1].replace(',', '.');
-            amount = parseFloat(amount);
-
-            // Detect currency
-            let currency = 'EUR'; // default
-            if (cleaned.includes('$') || /USD/i.test(cleaned)) currency = 'USD';
-            else if (cleaned.includes('£') || /GBP/i.test(cleaned)) currency = 'GBP';
-            else if (cleaned.includes('€') || /EUR/i.test(cleaned)) currency = 'EUR';
-
-            return { amount, currency };
-        }
-    }
-
-    // Try to extract just a number as fallback
-    const numberMatch = cleaned.match(/([0-9]+(?:[.,][0-9]{1,2})?)/);
-    if (numberMatch) {
-        let amount = numberMatch[1].replace(',', '.');
-        return { amount: parseFloat(amount), currency: null };
-    }
-
-    return { amount: null, currency: null };
-}
-
 /**
  * Normalize size string
  */
@@ -275,6 +254,23 @@ export function extractSiteName(input) {
     }
 }
 
+/**
+ * Normalize a product URL so the same page always maps to the same key:
+ * lowercase host without www, no query string, fragment or trailing slash
+ */
+export function normalizeUrl(input) {
+    if (!input) return null;
+
+    try {
+        const url = new URL(input);
+        const hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+        const pathname = url.pathname.replace(/\/+$/, '');
+        return `${hostname}${pathname}`;
+    } catch {
+        return input.trim().toLowerCase();
+    }
+}
+
 /**
  * Build search query from product attributes
  */
@@ -292,11 +288,15 @@ export function buildSearchQuery(product) {
 
 export default {
     normalizeBrand,
+    getBrandAliases,
     normalizeColor,
+    getColorAliases,
+    isColorName,
     normalizeCurrency,
     parsePrice,
     normalizeSize,
     normalizeGender,
     extractSiteName,
+    normalizeUrl,
     buildSearchQuery,
 };
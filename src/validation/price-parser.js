@@ -0,0 +1,250 @@
+import config from '../config.js';
+
+/**
+ * A number with optional thousand groups ("1.299", "1'250", "12 990") and decimals
+ */
+const AMOUNT_PATTERN = "(?<!\\d)(?:\\d{1,3}(?:[.,'’ ]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)(?!\\d)";
+
+/**
+ * Confidence of a bare number with no currency next to it
+ */
+const BARE_NUMBER_CONFIDENCE = 0.3;
+
+/**
+ * Escape a literal string for use in a regular expression
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build an alternation of literal words, longest first
+ */
+function alternation(words) {
+    return [...words].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+}
+
+// Compiled from currencies.yaml on first use
+let parserCache = null;
+
+/**
+ * Compile the currency tokens and parsing patterns from currencies.yaml
+ */
+function getPriceParser() {
+    if (parserCache) return parserCache;
+
+    const { currencies = {}, parsing = {} } = config.currencies;
+
+    // Every symbol, code and alias, mapped to the currencies that use it ("kr" is shared)
+    const tokenCodes = new Map();
+    for (const [code, currencyConfig] of Object.entries(currencies)) {
+        for (const token of [code, currencyConfig.symbol, ...(currencyConfig.aliases || [])]) {
+            if (!token) continue;
+            const key = token.toLowerCase();
+            const codes = tokenCodes.get(key) || [];
+            if (!codes.includes(code)) codes.push(code);
+            tokenCodes.set(key, codes);
+        }
+    }
+
+    const currency = `(?<!\\p{L})(?:${alternation(tokenCodes.keys())})(?!\\p{L})`;
+    const separators = alternation(parsing.range_separators || ['-', '–', '—']);
+    const prefixes = alternation(parsing.prefixes || []);
+    const templates = parsing.patterns || ['{currency}\\s?{amount}', '{amount}\\s?{currency}'];
+
+    parserCache = {
+        currencies,
+        tokenCodes,
+        patterns: templates.map(template => new RegExp(
+            template
+                .replace('{currency}', `(?<currency>${currency})`)
+                .replace('{amount}', `(?<amount>${AMOUNT_PATTERN})`),
+            'giu'
+        )),
+        bareAmount: new RegExp(AMOUNT_PATTERN, 'u'),
+        // "€80 – €120": upper end after the matched price
+        rangeAfter: new RegExp(
+            `^\\s*(?:${separators})\\s*(?:${currency}\\s?)?(?<amount>${AMOUNT_PATTERN})`,
+            'iu'
+        ),
+        // "80–120 €": bare lower end right before the matched price
+        rangeBefore: new RegExp(`(?<amount>${AMOUNT_PATTERN})(?:-|–|—)$`, 'u'),
+        prefix: prefixes ? new RegExp(`(?:^|[^\\p{L}])(?:${prefixes})\\s*:?\\s*$`, 'iu') : null,
+    };
+
+    return parserCache;
+}
+
+/**
+ * Interpret separators in a raw amount. A separator followed by 1-2 digits
+ * is a decimal point, one followed by 3 digits groups thousands. Disagreeing
+ * with the currency's configured separators lowers confidence.
+ */
+function parseAmount(raw, format = null) {
+    const digits = raw.replace(/[\s'’]/g, '');
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+    let decimalSeparator = null;
+    let penalty = 0;
+
+    if (lastDot !== -1 && lastComma !== -1) {
+        decimalSeparator = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1 || lastComma !== -1) {
+        const separator = lastDot !== -1 ? '.' : ',';
+        const groups = digits.split(separator);
+        if (groups.length === 2 && groups[1].length < 3) {
+            decimalSeparator = separator;
+        } else if (format && separator === format.decimal_separator) {
+            penalty += 0.2;
+        }
+    }
+
+    if (decimalSeparator && format && decimalSeparator !== format.decimal_separator) {
+        penalty += 0.1;
+    }
+
+    let value;
+    if (decimalSeparator) {
+        const index = digits.lastIndexOf(decimalSeparator);
+        value = parseFloat(`${digits.slice(0, index).replace(/[.,]/g, '')}.${digits.slice(index + 1)}`);
+    } else {
+        value = parseFloat(digits.replace(/[.,]/g, ''));
+    }
+
+    return { value, penalty };
+}
+
+/**
+ * Turn a pattern match into a priced candidate
+ */
+function buildCandidate(match, parser) {
+    const token = match.groups.currency;
+    const codes = parser.tokenCodes.get(token.toLowerCase());
+    const code = codes[0];
+    const format = parser.currencies[code];
+    const currencyFirst = match[0].toLowerCase().startsWith(token.toLowerCase());
+
+    let raw = match.groups.amount;
+    let start = match.index;
+
+    // Spaces only group thousands for currencies that use them ("1 299 kr")
+    // or when decimals follow ("1 299,00 €"); otherwise keep the digits
+    // next to the symbol ("42 129 €" -> 129)
+    const hasDecimals = /[.,]\d{1,2}$/.test(raw);
+    if (raw.includes(' ') && format.thousand_separator !== ' ' && !hasDecimals) {
+        const parts = raw.split(' ');
+        const kept = currencyFirst ? parts[0] : parts[parts.length - 1];
+        if (!currencyFirst) start += raw.length - kept.length;
+        raw = kept;
+    }
+
+    const { value, penalty } = parseAmount(raw, format);
+    let confidence = 1 - penalty;
+    if (codes.length > 1) confidence -= 0.2;
+    if (format.position && (format.position === 'before') !== currencyFirst) confidence -= 0.1;
+
+    return {
+        start,
+        end: currencyFirst ? match.index + match[0].length - (match.groups.amount.length - raw.length) : match.index + match[0].length,
+        amount: value,
+        currency: code,
+        format,
+        confidence,
+        tight: match[0].length === token.length + match.groups.amount.length,
+    };
+}
+
+/**
+ * Pick the first price in the text. When two matches share a symbol
+ * ("42 €129"), the one written without a space wins, then the one
+ * in the currency's usual position.
+ */
+function selectCandidate(candidates) {
+    if (candidates.length === 0) return null;
+
+    const sorted = [...candidates].sort((a, b) => a.start - b.start);
+    const first = sorted[0];
+    const overlapping = sorted.filter(c => c.start < first.end);
+
+    return overlapping.sort((a, b) =>
+        Number(b.tight) - Number(a.tight) || b.confidence - a.confidence || a.start - b.start
+    )[0];
+}
+
+/**
+ * Round a confidence to two decimals within 0-1
+ */
+function roundConfidence(value) {
+    return Math.round(Math.min(1, Math.max(0, value)) * 100) / 100;
+}
+
+/**
+ * Parse price from text, extracting amount, currency and a confidence (0-1).
+ * Formats, separators and symbol position come from configs/currencies.yaml.
+ * Ranges ("€80–€120") and "from" prefixes return the lower end with
+ * lower_bound set; a bare number without currency gets a low confidence.
+ */
+export function parsePrice(text) {
+    const empty = { amount: null, currency: null, confidence: 0, range: null, lower_bound: false };
+    if (!text) return empty;
+
+    const cleaned = String(text).replace(/\s+/g, ' ').trim();
+    const parser = getPriceParser();
+
+    const candidates = [];
+    for (const pattern of parser.patterns) {
+        for (const match of cleaned.matchAll(pattern)) {
+            const candidate = buildCandidate(match, parser);
+            if (Number.isFinite(candidate.amount)) {
+                candidates.push(candidate);
+            }
+        }
+    }
+
+    const best = selectCandidate(candidates);
+
+    if (!best) {
+        // Try to extract just a number as fallback
+        const numberMatch = cleaned.match(parser.bareAmount);
+        if (!numberMatch) return empty;
+        return {
+            ...empty,
+            amount: parseAmount(numberMatch[0]).value,
+            confidence: BARE_NUMBER_CONFIDENCE,
+        };
+    }
+
+    let amount = best.amount;
+    let confidence = best.confidence;
+    let range = null;
+    let rangeStart = best.start;
+
+    const after = cleaned.slice(best.end).match(parser.rangeAfter);
+    const before = cleaned.slice(0, best.start).match(parser.rangeBefore);
+
+    if (after) {
+        const max = parseAmount(after.groups.amount, best.format).value;
+        if (max > amount) range = { min: amount, max };
+    } else if (before) {
+        const min = parseAmount(before.groups.amount, best.format).value;
+        if (min < amount) {
+            range = { min, max: amount };
+            amount = min;
+            rangeStart = before.index;
+        }
+    }
+
+    const prefixed = Boolean(parser.prefix?.test(cleaned.slice(0, rangeStart)));
+    if (range) confidence -= 0.1;
+    if (prefixed) confidence -= 0.1;
+
+    return {
+        amount,
+        currency: best.currency,
+        confidence: roundConfidence(confidence),
+        range,
+        lower_bound: Boolean(range) || prefixed,
+    };
+}
+
+export default { parsePrice };
@@ -0,0 +1,208 @@
+import config from '../config.js';
+import { getBrandAliases, getColorAliases, isColorName, normalizeGender } from './normalizers.js';
+
+/**
+ * Weight of each product attribute in the match score
+ */
+const MATCH_WEIGHTS = {
+    brand: 0.25,
+    model: 0.4,
+    color: 0.25,
+    gender: 0.1,
+    category: 0.1,
+};
+
+/**
+ * Words that mark a listing for a specific audience
+ */
+const GENDER_TERMS = {
+    men: ['men', 'mens', "men's", 'man', 'male', 'hombre', 'homme', 'herren', 'homem', 'uomo'],
+    women: ['women', 'womens', "women's", 'woman', 'female', 'mujer', 'femme', 'damen', 'mulher', 'donna'],
+    kids: ['kids', 'kid', 'children', 'child', 'junior', 'niños', 'enfants', 'kinder', 'bambini'],
+};
+
+/**
+ * Words that mark a listing as a kind of product, in the languages of the
+ * supported shops. Categories outside this list are not checked.
+ */
+const CATEGORY_TERMS = {
+    sneakers: ['sneaker', 'sneakers', 'shoe', 'shoes', 'trainer', 'trainers', 'zapatillas', 'baskets', 'turnschuhe', 'sapatilhas', 'scarpe'],
+    boots: ['boot', 'boots', 'botas', 'bottes', 'stiefel'],
+    socks: ['sock', 'socks', 'calcetines', 'chaussettes', 'socken', 'meias', 'calze'],
+    jacket: ['jacket', 'coat', 'parka', 'puffer', 'chaqueta', 'veste', 'jacke', 'casaco', 'giacca'],
+    't-shirt': ['t-shirt', 'tshirt', 'tee', 'shirt', 'camiseta'],
+    hoodie: ['hoodie', 'sweatshirt', 'sweater', 'sudadera', 'pullover'],
+    jeans: ['jeans', 'denim', 'vaqueros'],
+    dress: ['dress', 'vestido', 'robe', 'kleid'],
+    pants: ['pants', 'trousers', 'pantalones', 'pantalon', 'hose'],
+    shorts: ['shorts'],
+    bag: ['bag', 'backpack', 'bolso', 'mochila', 'sac', 'tasche', 'rucksack'],
+    hat: ['cap', 'hat', 'beanie', 'gorra', 'mütze'],
+    accessories: ['laces', 'shoelaces', 'insoles', 'keychain', 'cleaner'],
+};
+
+/**
+ * Lowercase and split text into word tokens
+ */
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}'&]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Check whether a (possibly multi-word) phrase appears as whole words
+ */
+function containsPhrase(tokens, phrase) {
+    const words = tokenize(phrase);
+    if (words.length === 0) return false;
+
+    for (let i = 0; i <= tokens.length - words.length; i++) {
+        if (words.every((word, j) => tokens[i + j] === word)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Score the brand: 1 if any alias is in the name
+ */
+function scoreBrand(tokens, brand) {
+    return { score: getBrandAliases(brand).some(alias => containsPhrase(tokens, alias)) ? 1 : 0 };
+}
+
+/**
+ * Score the model: share of model tokens present in the name
+ */
+function scoreModel(tokens, model) {
+    const wanted = tokenize(model);
+    if (wanted.length === 0) return { score: 0 };
+
+    const present = new Set(tokens);
+    return { score: wanted.filter(token => present.has(token)).length / wanted.length };
+}
+
+/**
+ * Score the color: 1 if named in any known language, 0.5 if the name
+ * mentions no color, and a conflict if it only names other colors
+ */
+function scoreColor(tokens, color) {
+    if (getColorAliases(color).some(alias => containsPhrase(tokens, alias))) {
+        return { score: 1 };
+    }
+    if (tokens.some(token => isColorName(token))) {
+        return { score: 0, conflict: true };
+    }
+    return { score: 0.5 };
+}
+
+/**
+ * Score the gender: neutral unless the name only targets a different audience
+ */
+function scoreGender(tokens, gender) {
+    const wanted = normalizeGender(gender);
+    if (!GENDER_TERMS[wanted]) return { score: 1 };
+
+    const present = new Set(tokens);
+    const targets = Object.keys(GENDER_TERMS).filter(g => GENDER_TERMS[g].some(term => present.has(term)));
+
+    if (targets.length === 0 || targets.includes(wanted)) return { score: 1 };
+    return { score: 0, conflict: true };
+}
+
+/**
+ * Category key of a requested category ("sneakers", "shoe", "Jacke"), or null if unknown
+ */
+function findCategory(category) {
+    const words = tokenize(category);
+    return Object.keys(CATEGORY_TERMS).find(key =>
+        tokenize(key).join(' ') === words.join(' ') || CATEGORY_TERMS[key].some(term => containsPhrase(words, term))) || null;
+}
+
+/**
+ * Score the category: neutral unless the name only names another kind of
+ * product ("Samba socks" for sneakers). Words of the requested model are
+ * ignored, so "Down Sweater" is not read as a hoodie.
+ */
+function scoreCategory(tokens, category, model) {
+    const wanted = findCategory(category);
+    if (!wanted) return { score: 1 };
+
+    const modelTokens = new Set(tokenize(model));
+    const rest = tokens.filter(token => !modelTokens.has(token));
+    const named = Object.keys(CATEGORY_TERMS).filter(key => CATEGORY_TERMS[key].some(term => containsPhrase(rest, term)));
+
+    if (named.length === 0 || named.includes(wanted)) return { score: 1 };
+    return { score: 0, conflict: true };
+}
+
+/**
+ * Score how well a product name matches the requested product (0-1).
+ * Only attributes present in the request count towards the score, and
+ * every explicit conflict (another colorway, another audience, another
+ * kind of product) halves it.
+ */
+export function scoreProductMatch(name, product) {
+    const tokens = tokenize(name);
+    const details = {};
+    let weighted = 0;
+    let totalWeight = 0;
+    let conflicts = 0;
+
+    const scorers = {
+        brand: scoreBrand,
+        model: scoreModel,
+        color: scoreColor,
+        gender: scoreGender,
+        category: scoreCategory,
+    };
+
+    for (const [attribute, scorer] of Object.entries(scorers)) {
+        if (!product?.[attribute]) continue;
+
+        const { score, conflict } = scorer(tokens, product[attribute], product.model);
+        details[attribute] = Math.round(score * 100) / 100;
+        weighted += score * MATCH_WEIGHTS[attribute];
+        totalWeight += MATCH_WEIGHTS[attribute];
+        if (conflict) conflicts++;
+    }
+
+    const base = totalWeight > 0 ? weighted / totalWeight : 1;
+    const score = Math.round(base * Math.pow(0.5, conflicts) * 100) / 100;
+    return { score, details };
+}
+
+/**
+ * Attach match_score to every result and handle those below the threshold:
+ * in 'flag' mode they stay but can no longer meet criteria,
+ * in 'filter' mode they are removed.
+ */
+export function applyProductMatching(results, product) {
+    const accepted = [];
+    const rejected = [];
+
+    for (const result of results) {
+        const { score, details } = scoreProductMatch(result.product_name, product);
+        result.match_score = score;
+        result.match_details = details;
+
+        if (score >= config.minMatchScore) {
+            accepted.push(result);
+            continue;
+        }
+
+        if (config.matchMode === 'filter') {
+            rejected.push(result);
+        } else {
+            result.meets_criteria = false;
+            result.low_match = true;
+            accepted.push(result);
+        }
+    }
+
+    return { results: accepted, rejected };
+}
+
+export default { scoreProductMatch, applyProductMatching };
@@ -0,0 +1,22 @@
+import { getPriceHistoryStore, getProductKey } from '../output/price-history.js';
+
+/**
+ * Restock monitoring: a result meets criteria only when its product was
+ * out of stock at the previous check and is in stock now, whatever its
+ * price. Must run before the results are recorded in price history.
+ */
+export function applyRestockCriteria(results) {
+    const history = getPriceHistoryStore();
+
+    for (const result of results) {
+        const previous = result.source_url ? history.getLatest(getProductKey(result).productId) : null;
+
+        result.previous_availability = previous?.availability ?? null;
+        result.restocked = result.previous_availability === 'out_of_stock' && result.availability === 'in_stock';
+        result.meets_criteria = result.restocked;
+    }
+
+    return results;
+}
+
+export default { applyRestockCriteria };
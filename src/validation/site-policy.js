@@ -0,0 +1,238 @@
+import config from '../config.js';
+import { createTaskLogger } from '../logger.js';
+import { extractSiteName } from './normalizers.js';
+
+/**
+ * Policy settings used when neither the site nor sites.yaml defaults set them
+ */
+const DEFAULT_POLICY = {
+    robots: true,   // evaluate robots.txt
+    allow: [],      // path patterns always allowed, overriding robots.txt
+    deny: [],       // path patterns never visited
+};
+
+/**
+ * How long an unreachable robots.txt blocks its site before it is fetched again
+ */
+const UNREACHABLE_CACHE_MS = 10 * 60 * 1000;
+
+/**
+ * Policy settings for a site: built-in defaults, then sites.yaml defaults, then the site
+ */
+export function getSitePolicyConfig(siteConfig) {
+    return {
+        ...DEFAULT_POLICY,
+        ...(config.sites.defaults?.policy || {}),
+        ...(siteConfig?.policy || {}),
+    };
+}
+
+/**
+ * Compile a robots.txt path pattern ("/search*", "/*.pdf$") into a regex
+ */
+function compilePattern(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Parse robots.txt into user-agent groups of allow/disallow rules
+ */
+export function parseRobotsTxt(text) {
+    const groups = [];
+    let current = null;
+    let readingAgents = false;
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!readingAgents) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            readingAgents = true;
+            continue;
+        }
+
+        readingAgents = false;
+        if (!current) continue;
+
+        if ((field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({ allow: field === 'allow', path: value, regex: compilePattern(value) });
+        } else if (field === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+        }
+    }
+
+    return { groups };
+}
+
+/**
+ * Rules and crawl delay that apply to a user agent token: groups naming
+ * it, otherwise the "*" groups
+ */
+function selectRobotsGroup(robots, userAgent) {
+    const token = userAgent.toLowerCase();
+    let groups = robots.groups.filter(group => group.agents.some(agent => agent !== '*' && token.startsWith(agent)));
+    if (groups.length === 0) {
+        groups = robots.groups.filter(group => group.agents.includes('*'));
+    }
+
+    const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+    return {
+        rules: groups.flatMap(group => group.rules),
+        crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    };
+}
+
+/**
+ * Most specific matching rule for a path: the longest pattern wins,
+ * allow wins a tie. Returns null when no rule matches.
+ */
+function findMatchingRule(rules, path) {
+    let best = null;
+    for (const rule of rules) {
+        if (!rule.regex.test(path)) continue;
+        if (!best || rule.path.length > best.path.length ||
+            (rule.path.length === best.path.length && rule.allow && !best.allow)) {
+            best = rule;
+        }
+    }
+    return best;
+}
+
+/**
+ * Whether a path matches any of the patterns
+ */
+function matchesAny(patterns, path) {
+    return patterns.find(pattern => compilePattern(pattern).test(path)) || null;
+}
+
+/**
+ * Site Policy - decides whether a URL may be crawled. Per-site deny and
+ * allow overrides from sites.yaml come first, then the site's robots.txt
+ * for our user agent. robots.txt files are fetched once per origin and cached.
+ */
+export class SitePolicy {
+    constructor(fetcher = fetch) {
+        this.logger = createTaskLogger('site-policy', 'SitePolicy');
+        this.fetcher = fetcher;
+        // Origin -> { robots, expiresAt } (or a pending fetch promise)
+        this.cache = new Map();
+    }
+
+    /**
+     * Fetch and parse an origin's robots.txt. A missing file (4xx) allows
+     * everything; an unreachable one (5xx, network error) disallows everything.
+     */
+    async fetchRobots(origin) {
+        const ttl = config.robotsCacheHours * 60 * 60 * 1000;
+
+        try {
+            const response = await this.fetcher(`${origin}/robots.txt`, {
+                headers: { 'User-Agent': config.robotsUserAgent },
+                signal: AbortSignal.timeout(10000),
+            });
+
+            if (response.ok) {
+                return { robots: parseRobotsTxt(await response.text()), expiresAt: Date.now() + ttl };
+            }
+            if (response.status >= 400 && response.status < 500) {
+                return { robots: { groups: [] }, expiresAt: Date.now() + ttl };
+            }
+            throw new Error(`HTTP ${response.status}`);
+
+        } catch (error) {
+            this.logger.warn('robots.txt unreachable, treating site as disallowed', { origin, error: error.message });
+            return { robots: null, unreachable: true, expiresAt: Date.now() + UNREACHABLE_CACHE_MS };
+        }
+    }
+
+    /**
+     * Get the cached robots.txt for an origin, fetching it when missing or expired
+     */
+    async getRobots(origin) {
+        const cached = this.cache.get(origin);
+        if (cached instanceof Promise) {
+            return cached;
+        }
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached;
+        }
+
+        const pending = this.fetchRobots(origin).then(entry => {
+            this.cache.set(origin, entry);
+            return entry;
+        });
+        this.cache.set(origin, pending);
+        return pending;
+    }
+
+    /**
+     * Check a URL. Returns { allowed, reason, crawl_delay } where crawl_delay
+     * is the robots.txt Crawl-delay in seconds, if any.
+     */
+    async check(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return { allowed: false, reason: 'invalid URL', crawl_delay: null };
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return { allowed: true, reason: null, crawl_delay: null };
+        }
+
+        const path = `${parsed.pathname}${parsed.search}`;
+        const policy = getSitePolicyConfig(config.sites.sites?.[extractSiteName(url)]);
+
+        const denied = matchesAny(policy.deny, path);
+        if (denied) {
+            return { allowed: false, reason: `denied by site policy (${denied})`, crawl_delay: null };
+        }
+        if (matchesAny(policy.allow, path)) {
+            return { allowed: true, reason: null, crawl_delay: null };
+        }
+        if (!config.respectRobotsTxt || !policy.robots) {
+            return { allowed: true, reason: null, crawl_delay: null };
+        }
+
+        const entry = await this.getRobots(parsed.origin);
+        if (entry.unreachable) {
+            return { allowed: false, reason: 'robots.txt unreachable', crawl_delay: null };
+        }
+
+        const { rules, crawlDelay } = selectRobotsGroup(entry.robots, config.robotsUserAgent);
+        const rule = findMatchingRule(rules, path);
+        if (rule && !rule.allow) {
+            return { allowed: false, reason: `disallowed by robots.txt (${rule.path})`, crawl_delay: crawlDelay };
+        }
+
+        return { allowed: true, reason: null, crawl_delay: crawlDelay };
+    }
+}
+
+// Singleton instance
+let policyInstance = null;
+
+export function getSitePolicy() {
+    if (!policyInstance) {
+        policyInstance = new SitePolicy();
+    }
+    return policyInstance;
+}
+
+export default { SitePolicy, getSitePolicy, getSitePolicyConfig, parseRobotsTxt };
@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PolitenessScheduler } from '../src/browser/politeness.js';
+
+const URL = 'https://www.zalando.de/catalog/?q=samba';
+const INTERVAL = 10000;
+const COOLDOWN = 60000;
+
+/**
+ * Scheduler with a single zalando bucket: 10 s interval, no jitter
+ */
+function createScheduler() {
+    const scheduler = new PolitenessScheduler();
+    const bucket = scheduler.getBucket(URL);
+    bucket.rateLimit = INTERVAL;
+    bucket.settings = { ...bucket.settings, burst: 1, jitter: 0, backoff_factor: 1, cooldown: COOLDOWN };
+    return scheduler;
+}
+
+/**
+ * Start concurrent acquire() calls and run the clock until they all resolve
+ */
+async function acquireAll(scheduler, count) {
+    const waits = Array.from({ length: count }, () => scheduler.acquire(URL));
+    mock.timers.tick(COOLDOWN + (count + 1) * INTERVAL);
+    return Promise.all(waits);
+}
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_000_000 });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+test('navigations queued during a cooldown stay one interval apart', async () => {
+    const scheduler = createScheduler();
+    scheduler.report(URL, 429);
+
+    const waits = await acquireAll(scheduler, 4);
+
+    assert.deepEqual(waits, [
+        COOLDOWN + INTERVAL,
+        COOLDOWN + 2 * INTERVAL,
+        COOLDOWN + 3 * INTERVAL,
+        COOLDOWN + 4 * INTERVAL,
+    ]);
+});
+
+test('no tokens are earned while the domain cools down', async () => {
+    const scheduler = createScheduler();
+    scheduler.report(URL, 429);
+
+    // Halfway through the cooldown, the bucket has not refilled at all
+    mock.timers.tick(COOLDOWN / 2);
+    const [wait] = await acquireAll(scheduler, 1);
+
+    assert.equal(wait, COOLDOWN / 2 + INTERVAL);
+});
+
+test('without a cooldown, the burst goes first and the rest are spaced by the interval', async () => {
+    const scheduler = createScheduler();
+
+    const waits = await acquireAll(scheduler, 3);
+
+    assert.deepEqual(waits, [0, INTERVAL, 2 * INTERVAL]);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePrice } from '../src/validation/price-parser.js';
+
+/**
+ * Amount and currency of a parsed price
+ */
+function amountOf(text) {
+    const { amount, currency } = parsePrice(text);
+    return { amount, currency };
+}
+
+test('English separators: comma groups thousands, dot marks decimals', () => {
+    assert.deepEqual(amountOf('$1,299.00'), { amount: 1299, currency: 'USD' });
+    assert.deepEqual(amountOf('£49.90'), { amount: 49.9, currency: 'GBP' });
+});
+
+test('German separators: dot groups thousands, comma marks decimals', () => {
+    assert.deepEqual(amountOf('1.299,00 €'), { amount: 1299, currency: 'EUR' });
+    assert.deepEqual(amountOf('89,95 €'), { amount: 89.95, currency: 'EUR' });
+});
+
+test('French separators: space or no-break space groups thousands', () => {
+    assert.deepEqual(amountOf('1 299,00 €'), { amount: 1299, currency: 'EUR' });
+    assert.deepEqual(amountOf('1\u00a0299,00\u00a0€'), { amount: 1299, currency: 'EUR' });
+    assert.deepEqual(amountOf('1\u202f299,00 €'), { amount: 1299, currency: 'EUR' });
+});
+
+test('a space without decimals keeps the digits next to the symbol', () => {
+    assert.equal(parsePrice('42 129 €').amount, 129);
+});
+
+test('currency symbols and codes are recognized on either side', () => {
+    assert.deepEqual(amountOf('€ 45'), { amount: 45, currency: 'EUR' });
+    assert.deepEqual(amountOf('45 EUR'), { amount: 45, currency: 'EUR' });
+    assert.deepEqual(amountOf('USD 45.50'), { amount: 45.5, currency: 'USD' });
+    assert.deepEqual(amountOf("CHF 1'250.50"), { amount: 1250.5, currency: 'CHF' });
+});
+
+test('the usual symbol position scores higher than the unusual one', () => {
+    assert.ok(parsePrice('49,90 €').confidence > parsePrice('€49,90').confidence);
+});
+
+test('ranges and "from" prefixes return the lower end as a lower bound', () => {
+    const range = parsePrice('€80 – €120');
+    assert.equal(range.amount, 80);
+    assert.deepEqual(range.range, { min: 80, max: 120 });
+    assert.equal(range.lower_bound, true);
+
+    const prefixed = parsePrice('ab 89,95 €');
+    assert.equal(prefixed.amount, 89.95);
+    assert.equal(prefixed.lower_bound, true);
+});
+
+test('a bare number has no currency and low confidence', () => {
+    const price = parsePrice('129');
+    assert.equal(price.amount, 129);
+    assert.equal(price.currency, null);
+    assert.ok(price.confidence < 0.5);
+});
+
+test('text without a number yields no price', () => {
+    assert.equal(parsePrice('sold out').amount, null);
+    assert.equal(parsePrice('').amount, null);
+});
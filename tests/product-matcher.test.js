@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config.js';
+import { scoreProductMatch } from '../src/validation/product-matcher.js';
+
+const SAMBA = { brand: 'Adidas', model: 'Samba', category: 'sneakers', color: 'black', gender: 'women' };
+
+/**
+ * Match score of a product name against the Samba request
+ */
+function scoreOf(name, product = SAMBA) {
+    return scoreProductMatch(name, product).score;
+}
+
+test('a listing naming every requested attribute is a full match', () => {
+    const { score, details } = scoreProductMatch('adidas Originals Samba OG Core Black W', SAMBA);
+
+    assert.equal(score, 1);
+    assert.deepEqual(details, { brand: 1, model: 1, color: 1, gender: 1, category: 1 });
+});
+
+test('colors and genders match in other languages', () => {
+    assert.equal(scoreOf('Adidas Samba OG Schwarz Damen'), 1);
+});
+
+test('attributes missing from the request are not scored', () => {
+    const { score, details } = scoreProductMatch('Adidas Samba OG', { brand: 'Adidas', model: 'Samba' });
+
+    assert.equal(score, 1);
+    assert.deepEqual(details, { brand: 1, model: 1 });
+});
+
+test('a listing that omits the color scores lower but still matches', () => {
+    const score = scoreOf('Adidas Samba OG');
+
+    assert.ok(score < 1);
+    assert.ok(score >= config.minMatchScore);
+});
+
+test('another colorway, audience or category falls below the threshold', () => {
+    assert.ok(scoreOf('Adidas Samba OG White') < config.minMatchScore);
+    assert.ok(scoreOf('Adidas Samba OG Black Men') < config.minMatchScore);
+    assert.ok(scoreOf('Adidas Samba black socks') < config.minMatchScore);
+});
+
+test('socks are flagged for a sneakers request', () => {
+    const request = { brand: 'Adidas', model: 'Samba', category: 'sneakers' };
+
+    assert.ok(scoreOf('Adidas Samba socks', request) < config.minMatchScore);
+    assert.ok(scoreOf('Adidas Samba Calcetines', request) < config.minMatchScore);
+    assert.equal(scoreOf('Adidas Samba OG Sneakers', request), 1);
+});
+
+test('words of the requested model are not read as another category', () => {
+    const request = { brand: 'Patagonia', model: 'Down Sweater', category: 'jacket' };
+
+    assert.equal(scoreOf('Patagonia Down Sweater', request), 1);
+    assert.equal(scoreOf('Patagonia Down Sweater Jacket', request), 1);
+});
+
+test('another model scores lower than the requested one', () => {
+    assert.ok(scoreOf('Adidas Gazelle Black W') < scoreOf('Adidas Samba Black W'));
+});
@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config.js';
+import { SitePolicy, parseRobotsTxt } from '../src/validation/site-policy.js';
+
+const ORIGIN = 'https://shop.test';
+
+const ROBOTS = `
+User-agent: *
+Disallow: /checkout
+Disallow: /search
+Allow: /search/public
+Disallow: /*.pdf$
+Disallow: /tie
+Allow: /tie
+Crawl-delay: 5
+
+User-agent: PriceMonitor
+User-agent: OtherBot
+Disallow: /private
+`;
+
+/**
+ * Fetcher answering every robots.txt request with the given status and body
+ */
+function fakeFetcher(status, body = '') {
+    const calls = [];
+    const fetcher = async url => {
+        calls.push(url);
+        return { ok: status >= 200 && status < 300, status, text: async () => body };
+    };
+    fetcher.calls = calls;
+    return fetcher;
+}
+
+// A site entry for shop.test, so the policy overrides can be exercised
+before(() => {
+    config.sites.sites['policy-test'] = {
+        domains: ['shop.test'],
+        policy: { allow: ['/checkout/guest*'], deny: ['/checkout/guest/pay*', '/cart*'] },
+    };
+});
+
+after(() => {
+    delete config.sites.sites['policy-test'];
+});
+
+test('parseRobotsTxt groups consecutive user agents with their rules', () => {
+    const { groups } = parseRobotsTxt(ROBOTS);
+
+    assert.equal(groups.length, 2);
+    assert.deepEqual(groups[0].agents, ['*']);
+    assert.equal(groups[0].rules.length, 6);
+    assert.equal(groups[0].crawlDelay, 5);
+    assert.deepEqual(groups[1].agents, ['pricemonitor', 'otherbot']);
+    assert.deepEqual(groups[1].rules.map(rule => rule.path), ['/private']);
+});
+
+test('parseRobotsTxt ignores comments and rules before any user agent', () => {
+    const { groups } = parseRobotsTxt('Disallow: /\n# User-agent: *\nUser-agent: * # all\nDisallow: /a # comment');
+
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].agents, ['*']);
+    assert.deepEqual(groups[0].rules.map(rule => rule.path), ['/a']);
+});
+
+test('a group naming our user agent replaces the "*" group', async () => {
+    const policy = new SitePolicy(fakeFetcher(200, ROBOTS));
+
+    assert.equal((await policy.check(`${ORIGIN}/private/page`)).allowed, false);
+    assert.equal((await policy.check(`${ORIGIN}/search?q=samba`)).allowed, true);
+});
+
+test('the longest matching rule wins and allow wins a tie', async () => {
+    const policy = new SitePolicy(fakeFetcher(200, ROBOTS.replace(/User-agent: PriceMonitor\n/, '')));
+
+    assert.equal((await policy.check(`${ORIGIN}/search?q=samba`)).allowed, false);
+    assert.equal((await policy.check(`${ORIGIN}/search/public/shoes`)).allowed, true);
+    assert.equal((await policy.check(`${ORIGIN}/tie`)).allowed, true);
+});
+
+test('* matches any characters and $ anchors the end of the path', async () => {
+    const policy = new SitePolicy(fakeFetcher(200, ROBOTS.replace(/User-agent: PriceMonitor\n/, '')));
+
+    const pdf = await policy.check(`${ORIGIN}/docs/size-guide.pdf`);
+    assert.equal(pdf.allowed, false);
+    assert.equal(pdf.reason, 'disallowed by robots.txt (/*.pdf$)');
+    assert.equal(pdf.crawl_delay, 5);
+    assert.equal((await policy.check(`${ORIGIN}/docs/size-guide.pdf?download=1`)).allowed, true);
+});
+
+test('deny overrides allow, and allow overrides robots.txt', async () => {
+    const policy = new SitePolicy(fakeFetcher(200, 'User-agent: *\nDisallow: /checkout'));
+
+    const denied = await policy.check(`${ORIGIN}/checkout/guest/pay`);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.reason, 'denied by site policy (/checkout/guest/pay*)');
+
+    assert.equal((await policy.check(`${ORIGIN}/checkout/guest`)).allowed, true);
+    assert.equal((await policy.check(`${ORIGIN}/checkout/account`)).allowed, false);
+    assert.equal((await policy.check(`${ORIGIN}/cart`)).allowed, false);
+});
+
+test('a missing robots.txt (4xx) allows everything', async () => {
+    const policy = new SitePolicy(fakeFetcher(404));
+
+    assert.deepEqual(await policy.check(`${ORIGIN}/checkout`), { allowed: true, reason: null, crawl_delay: null });
+});
+
+test('an unreachable robots.txt (5xx or network error) disallows everything', async () => {
+    const serverError = new SitePolicy(fakeFetcher(503));
+    const offline = new SitePolicy(async () => { throw new Error('ECONNREFUSED'); });
+
+    for (const policy of [serverError, offline]) {
+        const result = await policy.check(`${ORIGIN}/search?q=samba`);
+        assert.equal(result.allowed, false);
+        assert.equal(result.reason, 'robots.txt unreachable');
+    }
+});
+
+test('robots.txt is fetched once per origin', async () => {
+    const fetcher = fakeFetcher(200, ROBOTS);
+    const policy = new SitePolicy(fetcher);
+
+    await Promise.all([policy.check(`${ORIGIN}/a`), policy.check(`${ORIGIN}/b`)]);
+    await policy.check(`${ORIGIN}/c`);
+
+    assert.deepEqual(fetcher.calls, [`${ORIGIN}/robots.txt`]);
+});
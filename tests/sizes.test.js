@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeSizeLabel,
+    sizesFromOffers,
+    sizesFromOptions,
+    resolveSizeAvailability,
+} from '../src/extraction/sizes.js';
+
+test('size labels reduce to the size key', () => {
+    assert.equal(normalizeSizeLabel('42'), '42');
+    assert.equal(normalizeSizeLabel('EU 42'), '42');
+    assert.equal(normalizeSizeLabel('Size: M'), 'M');
+    assert.equal(normalizeSizeLabel('42,5'), '42.5');
+    assert.equal(normalizeSizeLabel('42 2/3'), '42 2/3');
+    assert.equal(normalizeSizeLabel('XXL'), 'XXL');
+    assert.equal(normalizeSizeLabel('ONE SIZE'), 'ONE SIZE');
+});
+
+test('spelled-out letter sizes become letters', () => {
+    assert.equal(normalizeSizeLabel('Small'), 'S');
+    assert.equal(normalizeSizeLabel('Medium'), 'M');
+});
+
+test('availability text is stripped from the label', () => {
+    assert.equal(normalizeSizeLabel('EU 42 - Sold out'), '42');
+    assert.equal(normalizeSizeLabel('43 agotado'), '43');
+    assert.equal(normalizeSizeLabel('M ausverkauft'), 'M');
+});
+
+test('labels without a size yield null', () => {
+    assert.equal(normalizeSizeLabel('Notify me'), null);
+    assert.equal(normalizeSizeLabel('Black'), null);
+    assert.equal(normalizeSizeLabel(''), null);
+    assert.equal(normalizeSizeLabel(null), null);
+});
+
+test('offers for the same size are in stock if any of them is', () => {
+    const sizes = sizesFromOffers([
+        { size: '42', availability: 'out_of_stock' },
+        { size: 'EU 42', availability: 'in_stock' },
+        { size: '42', availability: 'out_of_stock' },
+        { size: '43', availability: 'out_of_stock' },
+        { size: 'Colour', availability: 'in_stock' },
+    ]);
+
+    assert.deepEqual(sizes, { 42: 'in_stock', 43: 'out_of_stock' });
+});
+
+test('size picker options map to in stock or out of stock', () => {
+    const sizes = sizesFromOptions([
+        { label: 'Choose your size', available: true },
+        { label: '41', available: true },
+        { label: '42 - Sold out', available: false },
+    ]);
+
+    assert.deepEqual(sizes, { 41: 'in_stock', 42: 'out_of_stock' });
+});
+
+test('the requested size resolves against the size map', () => {
+    const sizes = { 42: 'in_stock', 43: 'out_of_stock' };
+
+    assert.equal(resolveSizeAvailability(sizes, 'EU 42'), 'in_stock');
+    assert.equal(resolveSizeAvailability(sizes, '43'), 'out_of_stock');
+    // Not offered at all
+    assert.equal(resolveSizeAvailability(sizes, '44'), 'out_of_stock');
+});
+
+test('availability is unknown without sizes or a requested size', () => {
+    assert.equal(resolveSizeAvailability({}, '42'), 'unknown');
+    assert.equal(resolveSizeAvailability(null, '42'), 'unknown');
+    assert.equal(resolveSizeAvailability({ 42: 'in_stock' }, null), 'unknown');
+});